@@ -0,0 +1,113 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+const fse = require('..')
+const gfs = require('../fs')
+const gracefulFs = require('graceful-fs')
+
+function eacces (syscall, file) {
+  const err = new Error(`EACCES: permission denied, ${syscall} '${file}'`)
+  err.code = 'EACCES'
+  err.syscall = syscall
+  return err
+}
+
+describe('continueOnError', () => {
+  let TEST_DIR, src, dest
+  const { copyFile, rename } = gfs
+  const { unlink } = gracefulFs.promises
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'continue-on-error')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fse.emptyDirSync(TEST_DIR)
+    for (const file of ['a', 'bad-1', 'sub/b', 'sub/bad-2', 'sub/deep/c']) {
+      fse.outputFileSync(path.join(src, file), file)
+    }
+
+    // every file whose name starts with 'bad' fails
+    gfs.copyFile = async (from, to, ...args) => {
+      if (path.basename(from).startsWith('bad')) throw eacces('copyfile', from)
+      return copyFile(from, to, ...args)
+    }
+    gracefulFs.promises.unlink = async file => {
+      if (path.basename(file).startsWith('bad')) throw eacces('unlink', file)
+      return unlink(file)
+    }
+  })
+
+  afterEach(() => {
+    Object.assign(gfs, { copyFile, rename })
+    gracefulFs.promises.unlink = unlink
+    fse.removeSync(TEST_DIR)
+  })
+
+  function assertAggregate (err, expected) {
+    // a plain Error stands in for it before Node 15
+    assert.strictEqual(err.name, 'AggregateError')
+    assert(Array.isArray(err.errors))
+    assert.deepStrictEqual(err.errors.map(expected.key).sort(), expected.paths)
+    for (const error of err.errors) {
+      assert.strictEqual(error.code, 'EACCES')
+      assert(error.syscall)
+    }
+    return true
+  }
+
+  it('copy() should copy everything it can, then reject with an AggregateError', async () => {
+    await assert.rejects(fse.copy(src, dest, { continueOnError: true, concurrency: 1 }), err => {
+      assertAggregate(err, { key: e => e.dest, paths: [path.join(dest, 'bad-1'), path.join(dest, 'sub', 'bad-2')] })
+      assert.deepStrictEqual(err.errors.map(e => e.src).sort(), [path.join(src, 'bad-1'), path.join(src, 'sub', 'bad-2')])
+      assert.strictEqual(err.errors[0].syscall, 'copyfile')
+      return true
+    })
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'a'), 'utf8'), 'a')
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'sub', 'b'), 'utf8'), 'sub/b')
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'sub', 'deep', 'c'), 'utf8'), 'sub/deep/c')
+  })
+
+  it('copy() should reject with the first error without it', async () => {
+    await assert.rejects(fse.copy(src, dest), { code: 'EACCES' })
+  })
+
+  it('copy() should collect the failure of a single file', async () => {
+    await assert.rejects(fse.copy(path.join(src, 'bad-1'), path.join(dest, 'x'), { continueOnError: true }), err => {
+      return assertAggregate(err, { key: e => e.dest, paths: [path.join(dest, 'x')] })
+    })
+  })
+
+  it('emptyDir() should remove everything it can, then reject with an AggregateError', async () => {
+    await assert.rejects(fse.emptyDir(src, { continueOnError: true }), err => {
+      return assertAggregate(err, { key: e => e.path, paths: [path.join(src, 'bad-1'), path.join(src, 'sub', 'bad-2')] })
+    })
+    assert.deepStrictEqual(fs.readdirSync(src).sort(), ['bad-1', 'sub'])
+    assert.deepStrictEqual(fs.readdirSync(path.join(src, 'sub')), ['bad-2'])
+  })
+
+  it('remove() should not hide failures behind continueOnError', async () => {
+    await assert.rejects(fse.remove(src, { continueOnError: true, onProgress: () => {} }), { code: 'EACCES' })
+    assert(fs.existsSync(path.join(src, 'bad-1')) || fs.existsSync(path.join(src, 'sub', 'bad-2')))
+  })
+
+  it('move() across devices should keep src when the copy fails', async () => {
+    gfs.rename = async (from, to) => {
+      if (from !== src) return rename(from, to)
+      const err = new Error()
+      err.code = 'EXDEV'
+      throw err
+    }
+
+    await assert.rejects(fse.move(src, dest, { continueOnError: true }), err => {
+      return assertAggregate(err, { key: e => e.dest, paths: [path.join(dest, 'bad-1'), path.join(dest, 'sub', 'bad-2')] })
+    })
+    assert(fs.existsSync(path.join(src, 'a')))
+    // what could be copied is not left behind
+    assert(!fs.existsSync(dest))
+  })
+})
@@ -0,0 +1,167 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+const fse = require('..')
+const gfs = require('../fs')
+
+describe('dryRun', () => {
+  let TEST_DIR, src, snapshot
+
+  function tree () {
+    return require('klaw-sync')(TEST_DIR).map(item => [item.path, item.stats.mode, item.stats.mtimeMs])
+  }
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'dry-run')
+    src = path.join(TEST_DIR, 'src')
+    fse.emptyDirSync(TEST_DIR)
+    fse.outputFileSync(path.join(src, 'a'), 'a')
+    fse.outputFileSync(path.join(src, 'sub', 'b'), 'b')
+    fs.symlinkSync('a', path.join(src, 'link'))
+    fs.chmodSync(path.join(src, 'sub'), 0o750)
+    snapshot = tree()
+  })
+
+  afterEach(() => {
+    // the disk must never have been touched
+    assert.deepStrictEqual(tree(), snapshot)
+    fse.removeSync(TEST_DIR)
+  })
+
+  it('copy() should resolve with the plan of a copy', async () => {
+    const dest = path.join(TEST_DIR, 'new', 'dest')
+    const plan = await fse.copy(src, dest, { dryRun: true })
+
+    const byPath = entry => entry.path || entry.dest
+    assert.deepStrictEqual(plan.slice(0, 2), [
+      { op: 'mkdir', path: path.join(TEST_DIR, 'new') },
+      { op: 'mkdir', path: dest }
+    ])
+    assert.deepStrictEqual(plan.slice(2).map(entry => entry.op + ' ' + byPath(entry)).sort(), [
+      `chmod ${dest}`,
+      `chmod ${path.join(dest, 'a')}`,
+      `chmod ${path.join(dest, 'sub')}`,
+      `chmod ${path.join(dest, 'sub', 'b')}`,
+      `copyFile ${path.join(dest, 'a')}`,
+      `copyFile ${path.join(dest, 'sub', 'b')}`,
+      `mkdir ${path.join(dest, 'sub')}`,
+      `symlink ${path.join(dest, 'link')}`
+    ])
+    assert.deepStrictEqual(plan.find(entry => entry.op === 'symlink'), { op: 'symlink', src: 'a', dest: path.join(dest, 'link') })
+    assert.deepStrictEqual(plan[plan.length - 1], { op: 'chmod', path: dest, mode: fs.statSync(src).mode })
+  })
+
+  it('copy() should plan unlinking the files it overwrites', async () => {
+    const dest = path.join(TEST_DIR, 'dest')
+    fse.outputFileSync(path.join(dest, 'a'), 'old')
+    snapshot = tree()
+
+    const plan = await fse.copy(path.join(src, 'a'), path.join(dest, 'a'), { dryRun: true, preserveTimestamps: true })
+    assert.deepStrictEqual(plan.map(entry => entry.op), ['unlink', 'copyFile', 'utimes', 'chmod'])
+  })
+
+  it('copy() should still validate the paths', async () => {
+    await assert.rejects(fse.copy(src, path.join(src, 'sub', 'dest'), { dryRun: true }), /subdirectory of itself/)
+    await assert.rejects(fse.copy(path.join(TEST_DIR, 'missing'), path.join(TEST_DIR, 'dest'), { dryRun: true }), { code: 'ENOENT' })
+  })
+
+  it('remove() should resolve with the deletions in order', async () => {
+    const plan = await fse.remove(src, { dryRun: true })
+    assert.strictEqual(plan.length, 5)
+    assert.deepStrictEqual(plan[plan.length - 1], { op: 'rmdir', path: src })
+    const subIndex = plan.findIndex(entry => entry.path === path.join(src, 'sub'))
+    const bIndex = plan.findIndex(entry => entry.path === path.join(src, 'sub', 'b'))
+    assert.deepStrictEqual(plan[bIndex], { op: 'unlink', path: path.join(src, 'sub', 'b') })
+    assert(bIndex < subIndex)
+  })
+
+  it('emptyDir() should plan the removal of the contents or the creation of the directory', async () => {
+    const plan = await fse.emptyDir(src, { dryRun: true })
+    assert.deepStrictEqual(plan.map(entry => entry.path).sort(), [
+      path.join(src, 'a'),
+      path.join(src, 'link'),
+      path.join(src, 'sub'),
+      path.join(src, 'sub', 'b')
+    ])
+
+    const missing = path.join(TEST_DIR, 'missing', 'dir')
+    assert.deepStrictEqual(await fse.emptyDir(missing, { dryRun: true }), [
+      { op: 'mkdir', path: path.join(TEST_DIR, 'missing') },
+      { op: 'mkdir', path: missing }
+    ])
+  })
+
+  it('outputFile() should plan the parent directories and the write', async () => {
+    const file = path.join(TEST_DIR, 'out', 'file.txt')
+    assert.deepStrictEqual(await fse.outputFile(file, 'data', { dryRun: true }), [
+      { op: 'mkdir', path: path.join(TEST_DIR, 'out') },
+      { op: 'writeFile', path: file }
+    ])
+  })
+
+  describe('move()', () => {
+    it('should plan a rename on the same device', async () => {
+      const dest = path.join(TEST_DIR, 'moved')
+      assert.deepStrictEqual(await fse.move(src, dest, { dryRun: true }), [
+        { op: 'rename', src, dest }
+      ])
+    })
+
+    it('should plan backing up dest when overwriting, and removing the backup', async () => {
+      const dest = path.join(TEST_DIR, 'dest')
+      const stagingDir = path.join(TEST_DIR, '.dest-XXXXXX')
+      fse.outputFileSync(path.join(dest, 'c'), 'c')
+      snapshot = tree()
+
+      assert.deepStrictEqual(await fse.move(src, dest, { dryRun: true, overwrite: true }), [
+        { op: 'mkdir', path: stagingDir },
+        { op: 'rename', src: dest, dest: path.join(stagingDir, 'old') },
+        { op: 'rename', src, dest },
+        { op: 'unlink', path: path.join(stagingDir, 'old', 'c') },
+        { op: 'rmdir', path: path.join(stagingDir, 'old') },
+        { op: 'rmdir', path: stagingDir }
+      ])
+    })
+
+    it('should plan a staged copy and a removal across devices', async () => {
+      const dest = path.join(TEST_DIR, 'other', 'dest')
+      const stagingDir = path.join(TEST_DIR, 'other', '.dest-XXXXXX')
+      const staged = path.join(stagingDir, 'new')
+      const { lstat } = gfs
+      gfs.lstat = async (file, ...args) => {
+        const stats = await lstat(file, ...args)
+        if (file === src && typeof stats.dev === 'number') stats.dev += 1
+        return stats
+      }
+
+      try {
+        const plan = await fse.move(src, dest, { dryRun: true })
+        assert.deepStrictEqual(plan.slice(0, 3), [
+          { op: 'mkdir', path: path.join(TEST_DIR, 'other') },
+          { op: 'mkdir', path: stagingDir },
+          { op: 'mkdir', path: staged }
+        ])
+        assert(plan.some(entry => entry.op === 'copyFile' && entry.src === path.join(src, 'sub', 'b') && entry.dest === path.join(staged, 'sub', 'b')))
+        assert(plan.some(entry => entry.op === 'utimes'))
+        const rename = plan.findIndex(entry => entry.op === 'rename')
+        assert.deepStrictEqual(plan.slice(rename, rename + 2), [
+          { op: 'rename', src: staged, dest },
+          { op: 'rmdir', path: stagingDir }
+        ])
+        assert.deepStrictEqual(plan[plan.length - 1], { op: 'rmdir', path: src })
+      } finally {
+        gfs.lstat = lstat
+      }
+    })
+
+    it('should still validate the paths', async () => {
+      await assert.rejects(fse.move(src, path.join(src, 'sub', 'dest'), { dryRun: true }), /subdirectory of itself/)
+      await assert.rejects(fse.move(src, path.join(src, 'sub'), { dryRun: true }), /subdirectory of itself|already exists/)
+    })
+  })
+})
@@ -12,7 +12,8 @@ const methods = [
   'mkdirs',
   'readJson',
   'readJSON',
-  'remove'
+  'remove',
+  'scaffold'
 ]
 
 describe('promise support', () => {
@@ -0,0 +1,117 @@
+'use strict'
+
+/* eslint-env mocha */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+const fse = require('..')
+
+function isAbortError (err) {
+  assert.strictEqual(err.name, 'AbortError')
+  assert.strictEqual(err.code, 'ABORT_ERR')
+  return true
+}
+
+// AbortController is a global from Node 15 on
+const describeIfAbortController = typeof AbortController === 'undefined' ? describe.skip : describe
+
+describeIfAbortController('AbortSignal support', () => {
+  let TEST_DIR, signal
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'signal')
+    fse.emptyDirSync(TEST_DIR)
+    fse.outputFileSync(path.join(TEST_DIR, 'src', 'a'), 'a')
+    fse.outputFileSync(path.join(TEST_DIR, 'src', 'sub', 'b'), 'b')
+
+    const controller = new AbortController()
+    controller.abort()
+    signal = controller.signal
+  })
+
+  afterEach(() => fse.removeSync(TEST_DIR))
+
+  describe('> when the signal is already aborted', () => {
+    it('copy() should not create dest', async () => {
+      const dest = path.join(TEST_DIR, 'dest')
+      await assert.rejects(fse.copy(path.join(TEST_DIR, 'src'), dest, { signal }), isAbortError)
+      assert(!fs.existsSync(dest))
+    })
+
+    it('move() should leave src untouched', async () => {
+      const src = path.join(TEST_DIR, 'src')
+      await assert.rejects(fse.move(src, path.join(TEST_DIR, 'dest'), { signal }), isAbortError)
+      assert(fs.existsSync(path.join(src, 'sub', 'b')))
+    })
+
+    it('remove() should not delete anything', async () => {
+      const src = path.join(TEST_DIR, 'src')
+      await assert.rejects(fse.remove(src, { signal }), isAbortError)
+      assert(fs.existsSync(path.join(src, 'sub', 'b')))
+    })
+
+    it('emptyDir() should not delete anything', async () => {
+      const src = path.join(TEST_DIR, 'src')
+      await assert.rejects(fse.emptyDir(src, { signal }), isAbortError)
+      assert(fs.existsSync(path.join(src, 'a')))
+    })
+
+    it('mkdirs() should not create the directory', async () => {
+      const dir = path.join(TEST_DIR, 'x', 'y')
+      await assert.rejects(fse.mkdirs(dir, { signal }), isAbortError)
+      assert(!fs.existsSync(path.join(TEST_DIR, 'x')))
+    })
+
+    it('outputFile() should not create the parent directory', async () => {
+      const file = path.join(TEST_DIR, 'x', 'file')
+      await assert.rejects(fse.outputFile(file, 'hi', { signal }), isAbortError)
+      assert(!fs.existsSync(path.join(TEST_DIR, 'x')))
+    })
+
+    it('outputJson() should not write the file', async () => {
+      const file = path.join(TEST_DIR, 'x', 'file.json')
+      await assert.rejects(fse.outputJson(file, {}, { signal }), isAbortError)
+      assert(!fs.existsSync(file))
+    })
+
+    it('should be passed through to fs methods that support it', async () => {
+      const file = path.join(TEST_DIR, 'src', 'a')
+      await assert.rejects(fse.readFile(file, { signal }), isAbortError)
+      await assert.rejects(fse.writeFile(file, 'b', { signal }), isAbortError)
+      assert.strictEqual(fs.readFileSync(file, 'utf8'), 'a')
+    })
+  })
+
+  describe('> when the signal is aborted midway', () => {
+    it('copy() should stop scheduling new entries', async () => {
+      const src = path.join(TEST_DIR, 'many')
+      const dest = path.join(TEST_DIR, 'many-dest')
+      for (let i = 0; i < 50; i++) fse.outputFileSync(path.join(src, `file-${i}`), String(i))
+
+      const controller = new AbortController()
+      let copied = 0
+      const filter = () => {
+        if (++copied === 5) controller.abort()
+        return true
+      }
+
+      await assert.rejects(fse.copy(src, dest, { signal: controller.signal, filter, concurrency: 1 }), isAbortError)
+      assert(fs.readdirSync(dest).length < 50)
+    })
+
+    it('remove() should stop deleting', async () => {
+      const dir = path.join(TEST_DIR, 'many')
+      for (let i = 0; i < 50; i++) fse.outputFileSync(path.join(dir, `d-${i}`, 'file'), String(i))
+
+      const controller = new AbortController()
+      const onProgress = ({ entriesDeleted }) => {
+        if (entriesDeleted === 3) controller.abort()
+      }
+
+      await assert.rejects(fse.remove(dir, { signal: controller.signal, onProgress }), isAbortError)
+      assert(fs.readdirSync(dir).length > 0)
+    })
+  })
+})
@@ -0,0 +1,153 @@
+'use strict'
+
+const fs = require('../../')
+const fsImpl = require('../../fs')
+const gracefulFs = require('graceful-fs')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, afterEach, describe, it */
+
+// AbortController is a global from Node 15 on
+const itIfAbortController = typeof AbortController === 'undefined' ? it.skip : it
+
+describe('copy() / copySync() / atomic', () => {
+  let TEST_DIR, src, dest
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-atomic')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+    fs.outputFileSync(path.join(src, 'a.txt'), 'new a')
+    fs.outputFileSync(path.join(src, 'sub', 'b.txt'), 'new b')
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  const read = (...parts) => fs.readFileSync(path.join(dest, ...parts), 'utf8')
+  const leftovers = () => fs.readdirSync(TEST_DIR).filter(name => name !== 'src' && name !== 'dest')
+
+  const failOn = name => (srcFile) => {
+    if (path.basename(srcFile) === name) throw new Error('filter failed')
+    return true
+  }
+
+  const copies = {
+    'copy()': { copy: (src, dest, opts) => fs.copy(src, dest, opts), fs: fsImpl, rename: 'rename' },
+    'copySync()': { copy: (src, dest, opts) => fs.copySync(src, dest, opts), fs: gracefulFs, rename: 'renameSync' }
+  }
+
+  Object.keys(copies).forEach(name => {
+    const { copy, fs: stubbed, rename } = copies[name]
+
+    describe(name, () => {
+      it('should copy a directory into a new dest', async () => {
+        await copy(src, dest, { atomic: true })
+        assert.strictEqual(read('a.txt'), 'new a')
+        assert.strictEqual(read('sub', 'b.txt'), 'new b')
+        assert.deepStrictEqual(leftovers(), [])
+      })
+
+      it('should copy a single file', async () => {
+        await copy(path.join(src, 'a.txt'), dest, { atomic: true })
+        assert.strictEqual(fs.readFileSync(dest, 'utf8'), 'new a')
+        assert.deepStrictEqual(leftovers(), [])
+      })
+
+      it('should leave no dest and no staging directory behind on failure', async () => {
+        await assert.rejects(async () => copy(src, dest, { atomic: true, filter: failOn('b.txt') }), /filter failed/)
+        assert(!fs.existsSync(dest))
+        assert.deepStrictEqual(leftovers(), [])
+      })
+
+      it('should replace an existing dest as a whole', async () => {
+        fs.outputFileSync(path.join(dest, 'a.txt'), 'old a')
+        fs.outputFileSync(path.join(dest, 'old.txt'), 'old')
+        await copy(src, dest, { atomic: true })
+        assert.strictEqual(read('a.txt'), 'new a')
+        assert(!fs.existsSync(path.join(dest, 'old.txt')))
+        assert.deepStrictEqual(leftovers(), [])
+      })
+
+      it('should leave an existing dest untouched on failure', async () => {
+        fs.outputFileSync(path.join(dest, 'a.txt'), 'old a')
+        await assert.rejects(async () => copy(src, dest, { atomic: true, filter: failOn('b.txt') }), /filter failed/)
+        assert.deepStrictEqual(fs.readdirSync(dest), ['a.txt'])
+        assert.strictEqual(read('a.txt'), 'old a')
+        assert.deepStrictEqual(leftovers(), [])
+      })
+
+      it('should put an existing dest back when the final rename fails', async () => {
+        fs.outputFileSync(path.join(dest, 'a.txt'), 'old a')
+        const original = stubbed[rename]
+        stubbed[rename] = function (from, to) {
+          if (to === dest && path.basename(from) === 'new') {
+            const err = new Error('rename failed')
+            err.code = 'EIO'
+            throw err
+          }
+          return original.apply(this, arguments)
+        }
+        try {
+          await assert.rejects(async () => copy(src, dest, { atomic: true }), /rename failed/)
+        } finally {
+          stubbed[rename] = original
+        }
+        assert.strictEqual(read('a.txt'), 'old a')
+        assert.deepStrictEqual(leftovers(), [])
+      })
+
+      it('should keep the original error when putting dest back fails', async () => {
+        fs.outputFileSync(path.join(dest, 'a.txt'), 'old a')
+        const original = stubbed[rename]
+        stubbed[rename] = function (from, to) {
+          if (to === dest) {
+            const err = new Error(path.basename(from) === 'new' ? 'rename failed' : 'restore failed')
+            err.code = 'EIO'
+            throw err
+          }
+          return original.apply(this, arguments)
+        }
+        try {
+          await assert.rejects(async () => copy(src, dest, { atomic: true }), err => {
+            assert.strictEqual(err.message, 'rename failed')
+            assert.strictEqual(err.restoreError.message, 'restore failed')
+            return true
+          })
+        } finally {
+          stubbed[rename] = original
+        }
+        // the staging directory is kept, as it holds the old dest
+        const [stagingDir] = leftovers()
+        assert.strictEqual(fs.readFileSync(path.join(TEST_DIR, stagingDir, 'old', 'a.txt'), 'utf8'), 'old a')
+      })
+
+      it('should not touch an existing dest when overwrite is false', async () => {
+        fs.outputFileSync(path.join(dest, 'a.txt'), 'old a')
+        await copy(src, dest, { atomic: true, overwrite: false })
+        assert.strictEqual(read('a.txt'), 'old a')
+        await assert.rejects(async () => copy(src, dest, { atomic: true, overwrite: false, errorOnExist: true }), /already exists/)
+        assert.deepStrictEqual(leftovers(), [])
+      })
+
+      it('should report the final paths', async () => {
+        const result = await copy(src, dest, { atomic: true, report: true, filter: file => path.basename(file) !== 'b.txt' })
+        assert.deepStrictEqual(result.report.copied, [path.join(dest, 'a.txt')])
+        assert.deepStrictEqual(result.report.filtered, [path.join(src, 'sub', 'b.txt')])
+      })
+    })
+  })
+
+  itIfAbortController('copy() should clean up when aborted', async () => {
+    const controller = new AbortController()
+    const filter = () => {
+      controller.abort()
+      return true
+    }
+    await assert.rejects(fs.copy(src, dest, { atomic: true, signal: controller.signal, filter }), { name: 'AbortError' })
+    assert(!fs.existsSync(dest))
+    assert.deepStrictEqual(leftovers(), [])
+  })
+})
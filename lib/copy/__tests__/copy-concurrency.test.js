@@ -0,0 +1,89 @@
+'use strict'
+
+const fs = require('../../')
+const gfs = require('../../fs')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+const copy = require('../copy')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('copy() / concurrency', () => {
+  let TEST_DIR, src, dest
+  const originalCopyFile = gfs.copyFile
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-concurrency')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+
+    // a few nested levels, each with a handful of files
+    let dir = src
+    for (let depth = 0; depth < 5; depth++) {
+      for (let i = 0; i < 8; i++) {
+        fs.outputFileSync(path.join(dir, `file-${i}`), `${depth}-${i}`)
+      }
+      dir = path.join(dir, `dir-${depth}`)
+    }
+  })
+
+  afterEach(done => {
+    gfs.copyFile = originalCopyFile
+    fs.remove(TEST_DIR, done)
+  })
+
+  function trackCopyFile () {
+    const state = { active: 0, max: 0, calls: 0 }
+    gfs.copyFile = async (...args) => {
+      state.calls++
+      state.active++
+      state.max = Math.max(state.max, state.active)
+      try {
+        // keep the operation pending for a bit so others can pile up
+        await new Promise(resolve => setTimeout(resolve, 5))
+        return await originalCopyFile(...args)
+      } finally {
+        state.active--
+      }
+    }
+    return state
+  }
+
+  it('should never have more file operations in flight than the limit', async () => {
+    const state = trackCopyFile()
+    await copy(src, dest, { concurrency: 3 })
+
+    assert.strictEqual(state.calls, 40)
+    assert(state.max <= 3, `expected at most 3 concurrent copies, got ${state.max}`)
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'dir-0', 'dir-1', 'dir-2', 'dir-3', 'file-7'), 'utf8'), '4-7')
+  })
+
+  it('should not deadlock when the tree is deeper than the limit', async () => {
+    await copy(src, dest, { concurrency: 1 })
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'dir-0', 'dir-1', 'dir-2', 'dir-3', 'file-0'), 'utf8'), '4-0')
+  })
+
+  it('should still apply the filter', async () => {
+    const filter = src => !src.endsWith('file-1')
+    await copy(src, dest, { concurrency: 2, filter })
+    assert(!fs.existsSync(path.join(dest, 'file-1')))
+    assert(fs.existsSync(path.join(dest, 'file-2')))
+  })
+
+  it('should not mutate the options object', async () => {
+    const opts = { concurrency: 2 }
+    await copy(src, dest, opts)
+    assert.deepStrictEqual(opts, { concurrency: 2 })
+  })
+
+  it('should use the default for an undefined concurrency', async () => {
+    await copy(src, dest, { concurrency: undefined })
+    assert(fs.existsSync(path.join(dest, 'file-0')))
+  })
+
+  it('should reject an invalid concurrency', async () => {
+    await assert.rejects(copy(src, dest, { concurrency: 0 }), TypeError)
+  })
+})
@@ -0,0 +1,143 @@
+'use strict'
+
+const fs = require('../../')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('copy() / copySync() / conflict', () => {
+  let TEST_DIR, src, dest
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-conflict')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+    fs.outputFileSync(path.join(src, 'a.txt'), 'new a')
+    fs.outputFileSync(path.join(src, 'b.txt'), 'new b')
+    fs.outputFileSync(path.join(src, 'sub', 'c.txt'), 'new c')
+    fs.outputFileSync(path.join(dest, 'a.txt'), 'old a')
+    fs.outputFileSync(path.join(dest, 'sub', 'c.txt'), 'old c')
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  const read = (...parts) => fs.readFileSync(path.join(dest, ...parts), 'utf8')
+
+  const copies = {
+    'copy()': (src, dest, opts) => fs.copy(src, dest, opts),
+    'copySync()': (src, dest, opts) => fs.copySync(src, dest, opts)
+  }
+
+  Object.keys(copies).forEach(name => {
+    const copy = copies[name]
+
+    describe(name, () => {
+      it('should throw on an invalid mode', async () => {
+        await assert.rejects(async () => copy(src, dest, { conflict: 'replace' }), TypeError)
+      })
+
+      it("should replace existing files with 'overwrite'", async () => {
+        await copy(src, dest, { conflict: 'overwrite' })
+        assert.strictEqual(read('a.txt'), 'new a')
+        assert.strictEqual(read('b.txt'), 'new b')
+        assert.strictEqual(read('sub', 'c.txt'), 'new c')
+      })
+
+      it("should keep existing files with 'skip'", async () => {
+        const result = await copy(src, dest, { conflict: 'skip', report: true })
+        assert.strictEqual(read('a.txt'), 'old a')
+        assert.strictEqual(read('b.txt'), 'new b')
+        assert.strictEqual(read('sub', 'c.txt'), 'old c')
+        assert.deepStrictEqual(result.report.skipped.sort(), [path.join(dest, 'a.txt'), path.join(dest, 'sub', 'c.txt')])
+      })
+
+      it("should fail on the first existing file with 'error'", async () => {
+        await assert.rejects(async () => copy(src, dest, { conflict: 'error' }), /already exists/)
+        assert.strictEqual(read('a.txt'), 'old a')
+      })
+
+      it("should copy next to existing files with 'rename'", async () => {
+        await copy(src, dest, { conflict: 'rename' })
+        assert.strictEqual(read('a.txt'), 'old a')
+        assert.strictEqual(read('a (1).txt'), 'new a')
+        assert.strictEqual(read('b.txt'), 'new b')
+        assert.strictEqual(read('sub', 'c.txt'), 'old c')
+        assert.strictEqual(read('sub', 'c (1).txt'), 'new c')
+      })
+
+      it("should pick a name free in both src and dest with 'rename'", async () => {
+        fs.outputFileSync(path.join(dest, 'a (1).txt'), 'old a (1)')
+        fs.outputFileSync(path.join(src, 'a (2).txt'), 'new a (2)')
+        await copy(src, dest, { conflict: 'rename' })
+        assert.strictEqual(read('a (1).txt'), 'old a (1)')
+        assert.strictEqual(read('a (2).txt'), 'new a (2)')
+        assert.strictEqual(read('a (3).txt'), 'new a')
+      })
+
+      it('should ask a function for a decision with the stats of both files', async () => {
+        const calls = []
+        await copy(src, dest, {
+          conflict (srcFile, destFile, srcStat, destStat) {
+            calls.push([srcFile, destFile, srcStat.size, destStat.size])
+            return path.basename(srcFile) === 'a.txt' ? 'overwrite' : 'skip'
+          }
+        })
+        assert.deepStrictEqual(calls.sort(), [
+          [path.join(src, 'a.txt'), path.join(dest, 'a.txt'), 5, 5],
+          [path.join(src, 'sub', 'c.txt'), path.join(dest, 'sub', 'c.txt'), 5, 5]
+        ])
+        assert.strictEqual(read('a.txt'), 'new a')
+        assert.strictEqual(read('sub', 'c.txt'), 'old c')
+      })
+
+      it('should throw when the function returns an invalid decision', async () => {
+        await assert.rejects(async () => copy(src, dest, { conflict: () => 'maybe' }), TypeError)
+      })
+
+      it('should resolve a directory clashing with a file', async () => {
+        fs.removeSync(path.join(dest, 'sub'))
+        fs.outputFileSync(path.join(dest, 'sub'), 'file')
+        fs.removeSync(path.join(dest, 'a.txt'))
+        fs.outputFileSync(path.join(dest, 'a.txt', 'inside.txt'), 'dir')
+
+        await copy(src, dest, { conflict: 'overwrite' })
+        assert.strictEqual(read('a.txt'), 'new a')
+        assert.strictEqual(read('sub', 'c.txt'), 'new c')
+      })
+
+      it('should rename a directory clashing with a file', async () => {
+        fs.removeSync(path.join(dest, 'sub'))
+        fs.outputFileSync(path.join(dest, 'sub'), 'file')
+
+        await copy(src, dest, { conflict: 'rename' })
+        assert.strictEqual(read('sub'), 'file')
+        assert.strictEqual(read('sub (1)', 'c.txt'), 'new c')
+      })
+
+      it('should still fail on a clash without the option', async () => {
+        fs.removeSync(path.join(dest, 'sub'))
+        fs.outputFileSync(path.join(dest, 'sub'), 'file')
+        await assert.rejects(async () => copy(src, dest), /Cannot overwrite non-directory/)
+      })
+
+      it('should apply to a single file', async () => {
+        await copy(path.join(src, 'a.txt'), path.join(dest, 'a.txt'), { conflict: 'rename' })
+        assert.strictEqual(read('a (1).txt'), 'new a')
+      })
+    })
+  })
+
+  it('copy() should wait for an async function', async () => {
+    await fs.copy(src, dest, { conflict: async () => 'overwrite' })
+    assert.strictEqual(read('a.txt'), 'new a')
+  })
+
+  it('copy() should list the removals of a dry run', async () => {
+    const plan = await fs.copy(src, dest, { conflict: 'overwrite', dryRun: true })
+    assert(plan.some(entry => entry.op === 'unlink' && entry.path === path.join(dest, 'a.txt')))
+    assert.strictEqual(read('a.txt'), 'old a')
+  })
+})
@@ -0,0 +1,147 @@
+'use strict'
+
+const fs = require('../../')
+const gfs = require('../../fs')
+const gracefulFs = require('graceful-fs')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+const klawSync = require('klaw-sync')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('copy() / copySync() / include, exclude and maxDepth', () => {
+  let TEST_DIR, src, dest
+  const { opendir } = gfs
+  // graceful-fs exposes opendirSync through an accessor
+  const opendirSyncDescriptor = Object.getOwnPropertyDescriptor(gracefulFs, 'opendirSync')
+  const { opendirSync } = gracefulFs
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-glob')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+    for (const file of [
+      'index.js',
+      'README.md',
+      '.eslintrc',
+      'lib/a.js',
+      'lib/a.test.js',
+      'lib/deep/b.js',
+      'lib/deep/b.json',
+      'node_modules/dep/index.js',
+      'lib/node_modules/dep/index.js'
+    ]) {
+      fs.outputFileSync(path.join(src, file), file)
+    }
+  })
+
+  afterEach(done => {
+    gfs.opendir = opendir
+    Object.defineProperty(gracefulFs, 'opendirSync', opendirSyncDescriptor)
+    fs.remove(TEST_DIR, done)
+  })
+
+  function copied () {
+    return klawSync(dest, { nodir: true })
+      .map(item => path.relative(dest, item.path).split(path.sep).join('/'))
+      .sort()
+  }
+
+  const copies = {
+    'copy()': (src, dest, opts) => fs.copy(src, dest, opts),
+    'copySync()': (src, dest, opts) => fs.copySync(src, dest, opts)
+  }
+
+  Object.keys(copies).forEach(name => {
+    const copy = copies[name]
+
+    describe(name, () => {
+      it('should only copy files matching an include pattern', async () => {
+        await copy(src, dest, { include: ['**/*.js'] })
+        assert.deepStrictEqual(copied(), [
+          'index.js',
+          'lib/a.js',
+          'lib/a.test.js',
+          'lib/deep/b.js',
+          'lib/node_modules/dep/index.js',
+          'node_modules/dep/index.js'
+        ])
+      })
+
+      it('should copy everything below an included directory', async () => {
+        await copy(src, dest, { include: ['lib/deep', '*.md'] })
+        assert.deepStrictEqual(copied(), ['README.md', 'lib/deep/b.js', 'lib/deep/b.json'])
+      })
+
+      it('should skip files matching an exclude pattern', async () => {
+        await copy(src, dest, { exclude: ['**/*.test.js', '**/node_modules/**', '.*'] })
+        assert.deepStrictEqual(copied(), [
+          'README.md',
+          'index.js',
+          'lib/a.js',
+          'lib/deep/b.js',
+          'lib/deep/b.json'
+        ])
+      })
+
+      it('should treat negated include patterns as exclusions', async () => {
+        await copy(src, dest, { include: ['**/*.{js,json}', '!**/node_modules/**', '!lib/*.test.js'] })
+        assert.deepStrictEqual(copied(), ['index.js', 'lib/a.js', 'lib/deep/b.js', 'lib/deep/b.json'])
+      })
+
+      it('should not descend into excluded directories', async () => {
+        const opened = []
+        gfs.opendir = (dir, ...args) => {
+          opened.push(dir)
+          return opendir(dir, ...args)
+        }
+        Object.defineProperty(gracefulFs, 'opendirSync', {
+          configurable: true,
+          value: (dir, ...args) => {
+            opened.push(dir)
+            return opendirSync(dir, ...args)
+          }
+        })
+
+        await copy(src, dest, { include: ['!**/node_modules/**'] })
+        assert(opened.length > 0)
+        assert(!opened.some(dir => dir.includes('node_modules')))
+        assert(!fs.existsSync(path.join(dest, 'node_modules')))
+        assert(!fs.existsSync(path.join(dest, 'lib', 'node_modules')))
+      })
+
+      it('should limit the depth with maxDepth', async () => {
+        await copy(src, dest, { maxDepth: 1 })
+        assert.deepStrictEqual(copied(), ['.eslintrc', 'README.md', 'index.js'])
+        assert(fs.statSync(path.join(dest, 'lib')).isDirectory())
+        assert.deepStrictEqual(fs.readdirSync(path.join(dest, 'lib')), [])
+      })
+
+      it('should compose with filter', async () => {
+        const filtered = []
+        const filter = file => {
+          filtered.push(file)
+          return !file.endsWith('a.js')
+        }
+        await copy(src, dest, { include: ['lib/**'], exclude: ['**/node_modules'], filter })
+        assert.deepStrictEqual(copied(), ['lib/a.test.js', 'lib/deep/b.js', 'lib/deep/b.json'])
+        assert(!filtered.some(file => file.includes('node_modules') || file.endsWith('.md')))
+      })
+
+      it('should reject invalid options', async () => {
+        await assert.rejects(async () => copy(src, dest, { include: '**/*.js' }), TypeError)
+        await assert.rejects(async () => copy(src, dest, { exclude: [1] }), TypeError)
+        await assert.rejects(async () => copy(src, dest, { maxDepth: -1 }), TypeError)
+      })
+    })
+  })
+
+  it('copy() should count only selected files when prescanning', async () => {
+    let last
+    await fs.copy(src, dest, { include: ['lib/*.js'], prescan: true, onProgress: p => { last = p } })
+    assert.strictEqual(last.filesTotal, 2)
+    assert.strictEqual(last.filesDone, 2)
+  })
+})
@@ -0,0 +1,83 @@
+'use strict'
+
+const fs = require('../../')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+const klawSync = require('klaw-sync')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('copy() / copySync() / ignoreFiles', () => {
+  let TEST_DIR, src, dest
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-ignore-files')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+    const files = {
+      '.gitignore': 'node_modules/\n*.log\n/dist\n',
+      '.npmignore': 'test/\n',
+      'index.js': '',
+      'debug.log': '',
+      'dist/bundle.js': '',
+      'node_modules/dep/index.js': '',
+      'test/index.test.js': '',
+      'pkg/.gitignore': '!important.log\ndist\n',
+      'pkg/important.log': '',
+      'pkg/other.log': '',
+      'pkg/dist/bundle.js': '',
+      'pkg/src/dist': ''
+    }
+    for (const [file, content] of Object.entries(files)) {
+      fs.outputFileSync(path.join(src, file), content)
+    }
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  function copied () {
+    return klawSync(dest, { nodir: true })
+      .map(item => path.relative(dest, item.path).split(path.sep).join('/'))
+      .sort()
+  }
+
+  const copies = {
+    'copy()': (src, dest, opts) => fs.copy(src, dest, opts),
+    'copySync()': (src, dest, opts) => fs.copySync(src, dest, opts)
+  }
+
+  Object.keys(copies).forEach(name => {
+    const copy = copies[name]
+
+    describe(name, () => {
+      it('should skip entries matched by nested ignore files', async () => {
+        await copy(src, dest, { ignoreFiles: ['.gitignore'] })
+        assert.deepStrictEqual(copied(), [
+          '.gitignore',
+          '.npmignore',
+          'index.js',
+          'pkg/.gitignore',
+          'pkg/important.log',
+          'test/index.test.js'
+        ])
+      })
+
+      it('should combine several ignore files', async () => {
+        await copy(src, dest, { ignoreFiles: ['.gitignore', '.npmignore'] })
+        assert(!fs.existsSync(path.join(dest, 'test')))
+        assert(fs.existsSync(path.join(dest, 'index.js')))
+      })
+
+      it('should compose with exclude and filter', async () => {
+        await copy(src, dest, {
+          ignoreFiles: ['.gitignore'],
+          exclude: ['test'],
+          filter: file => path.basename(file) !== '.npmignore'
+        })
+        assert.deepStrictEqual(copied(), ['.gitignore', 'index.js', 'pkg/.gitignore', 'pkg/important.log'])
+      })
+    })
+  })
+})
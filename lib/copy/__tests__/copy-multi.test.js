@@ -0,0 +1,176 @@
+'use strict'
+
+const fs = require('../../')
+const fsImpl = require('../../fs')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('copy() / multiple destinations', () => {
+  let TEST_DIR, src, dests
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-multi')
+    src = path.join(TEST_DIR, 'src')
+    dests = ['a', 'b', 'c'].map(name => path.join(TEST_DIR, 'mirrors', name))
+    fs.emptyDirSync(TEST_DIR)
+    fs.outputFileSync(path.join(src, 'index.html'), '<html>')
+    fs.outputFileSync(path.join(src, 'assets', 'app.js'), 'app()')
+    fs.outputFileSync(path.join(src, 'assets', 'big.bin'), Buffer.alloc(3 * 1024 * 1024 + 5, 7))
+    fs.symlinkSync('app.js', path.join(src, 'assets', 'latest.js'))
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  function assertCopied (dest) {
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'index.html'), 'utf8'), '<html>')
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'assets', 'app.js'), 'utf8'), 'app()')
+    assert(fs.readFileSync(path.join(dest, 'assets', 'big.bin')).equals(fs.readFileSync(path.join(src, 'assets', 'big.bin'))))
+    assert.strictEqual(fs.readlinkSync(path.join(dest, 'assets', 'latest.js')), 'app.js')
+  }
+
+  it('should copy to every destination', async () => {
+    const results = await fs.copy(src, dests)
+    dests.forEach(assertCopied)
+    assert.deepStrictEqual(results.map(result => result.dest), dests)
+    results.forEach(result => {
+      assert.strictEqual(result.error, null)
+      assert.strictEqual(result.copied.length, 4)
+      assert.deepStrictEqual(result.skipped, [])
+    })
+  })
+
+  it('should read every file once', async () => {
+    const promises = fsImpl.promises
+    const originalOpen = promises.open
+    const reads = []
+    promises.open = function (file, flags) {
+      if (flags === 'r') reads.push(file)
+      return originalOpen.apply(this, arguments)
+    }
+    try {
+      await fs.copy(src, dests)
+    } finally {
+      promises.open = originalOpen
+    }
+    assert.deepStrictEqual(reads.sort(), [
+      path.join(src, 'assets', 'app.js'),
+      path.join(src, 'assets', 'big.bin'),
+      path.join(src, 'index.html')
+    ])
+  })
+
+  it('should work with a callback and a single file', done => {
+    const file = path.join(src, 'index.html')
+    const targets = dests.map(dest => path.join(dest, 'index.html'))
+    fs.copy(file, targets, (err, results) => {
+      assert.ifError(err)
+      assert.deepStrictEqual(results.map(result => result.copied), targets.map(target => [target]))
+      targets.forEach(target => assert.strictEqual(fs.readFileSync(target, 'utf8'), '<html>'))
+      done()
+    })
+  })
+
+  it('should report conflicts per destination', async () => {
+    fs.outputFileSync(path.join(dests[1], 'index.html'), 'old')
+    fs.outputFileSync(path.join(dests[2], 'index.html'), 'old')
+
+    const results = await fs.copy(src, dests, { overwrite: false })
+    assert.deepStrictEqual(results[0].skipped, [])
+    assert.deepStrictEqual(results[1].skipped, [path.join(dests[1], 'index.html')])
+    assert.strictEqual(fs.readFileSync(path.join(dests[1], 'index.html'), 'utf8'), 'old')
+    assertCopied(dests[0])
+  })
+
+  it('should give up a destination on error and go on with the others', async () => {
+    fs.outputFileSync(path.join(dests[1], 'index.html'), 'old')
+
+    const results = await fs.copy(src, dests, { overwrite: false, errorOnExist: true })
+    assert.strictEqual(results[0].error, null)
+    assert.strictEqual(results[2].error, null)
+    assert.match(results[1].error.message, /already exists/)
+    assert.strictEqual(results[1].error.dest, path.join(dests[1], 'index.html'))
+    assertCopied(dests[0])
+    assertCopied(dests[2])
+  })
+
+  it('should give up a destination that clashes with src', async () => {
+    fs.outputFileSync(dests[0], 'a file')
+    const results = await fs.copy(src, [dests[0], path.join(src, 'inside'), dests[1]])
+    assert.match(results[0].error.message, /Cannot overwrite non-directory/)
+    assert.match(results[1].error.message, /subdirectory of itself/)
+    assert.strictEqual(results[2].error, null)
+    assertCopied(dests[1])
+  })
+
+  it('should filter entries', async () => {
+    const calls = []
+    await fs.copy(src, dests, {
+      filter (srcFile, destFiles) {
+        calls.push(destFiles)
+        return path.basename(srcFile) !== 'assets'
+      }
+    })
+    assert.deepStrictEqual(calls[0], dests)
+    dests.forEach(dest => {
+      assert(fs.existsSync(path.join(dest, 'index.html')))
+      assert(!fs.existsSync(path.join(dest, 'assets')))
+    })
+  })
+
+  it('should preserve mode and timestamps', async () => {
+    const file = path.join(src, 'assets', 'app.js')
+    fs.chmodSync(file, 0o600)
+    const time = new Date('2020-01-01T00:00:00Z')
+    fs.utimesSync(file, time, time)
+    fs.utimesSync(path.join(src, 'assets'), time, time)
+
+    await fs.copy(src, dests, { preserveTimestamps: true })
+    dests.forEach(dest => {
+      const stats = fs.statSync(path.join(dest, 'assets', 'app.js'))
+      assert.strictEqual(stats.mode & 0o777, 0o600)
+      assert.strictEqual(stats.mtime.getTime(), time.getTime())
+      assert.strictEqual(fs.statSync(path.join(dest, 'assets')).mtime.getTime(), time.getTime())
+    })
+  })
+
+  it('should reject when src does not exist', async () => {
+    await assert.rejects(fs.copy(path.join(TEST_DIR, 'missing'), dests), { code: 'ENOENT' })
+  })
+
+  it('should throw on invalid destinations', async () => {
+    await assert.rejects(fs.copy(src, []), TypeError)
+    await assert.rejects(fs.copy(src, [dests[0], dests[0]]), TypeError)
+  })
+
+  it('should reject options it does not support without writing anything', async () => {
+    for (const opts of [{ dryRun: true }, { overwrite: 'ifNewer' }, { continueOnError: true }, { report: true }, { atomic: true }, { preserveOwnership: true }]) {
+      await assert.rejects(fs.copy(src, dests, opts), TypeError)
+    }
+    dests.forEach(dest => assert(!fs.existsSync(dest)))
+  })
+
+  it('should detect symlink cycles with dereference', async () => {
+    fs.symlinkSync('..', path.join(src, 'assets', 'loop'))
+    await assert.rejects(fs.copy(src, dests, { dereference: true }), { code: 'ELOOP' })
+  })
+
+  it('should not skip bytes after a short read', async () => {
+    const { open } = fsImpl.promises
+    // every read comes up short, as from a device
+    fsImpl.promises.open = async (...args) => {
+      const handle = await open(...args)
+      const read = handle.read.bind(handle)
+      handle.read = (buffer, offset, length, position) => read(buffer, offset, Math.min(length, 1000), position)
+      return handle
+    }
+    try {
+      await fs.copy(src, dests)
+    } finally {
+      fsImpl.promises.open = open
+    }
+    dests.forEach(assertCopied)
+  })
+})
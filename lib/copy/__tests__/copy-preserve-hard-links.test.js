@@ -0,0 +1,65 @@
+'use strict'
+
+const fs = require('../../')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('copy() / copySync() / preserveHardLinks', () => {
+  let TEST_DIR, src, dest
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-preserve-hard-links')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+
+    fs.outputFileSync(path.join(src, 'a'), 'shared')
+    fs.ensureDirSync(path.join(src, 'sub'))
+    fs.linkSync(path.join(src, 'a'), path.join(src, 'b'))
+    fs.linkSync(path.join(src, 'a'), path.join(src, 'sub', 'c'))
+    fs.outputFileSync(path.join(src, 'single'), 'single')
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  function assertLinked () {
+    const a = fs.statSync(path.join(dest, 'a'))
+    const b = fs.statSync(path.join(dest, 'b'))
+    const c = fs.statSync(path.join(dest, 'sub', 'c'))
+    assert.strictEqual(a.ino, b.ino)
+    assert.strictEqual(a.ino, c.ino)
+    assert.strictEqual(a.nlink, 3)
+    assert.notStrictEqual(a.ino, fs.statSync(path.join(src, 'a')).ino)
+    assert.strictEqual(fs.statSync(path.join(dest, 'single')).nlink, 1)
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'sub', 'c'), 'utf8'), 'shared')
+  }
+
+  it('copy() should recreate hard links within the tree', async () => {
+    await fs.copy(src, dest, { preserveHardLinks: true, concurrency: 2 })
+    assertLinked()
+  })
+
+  it('copySync() should recreate hard links within the tree', () => {
+    fs.copySync(src, dest, { preserveHardLinks: true })
+    assertLinked()
+  })
+
+  it('should copy every name independently by default', async () => {
+    await fs.copy(src, dest)
+    assert.strictEqual(fs.statSync(path.join(dest, 'a')).nlink, 1)
+    assert.strictEqual(fs.statSync(path.join(dest, 'b')).nlink, 1)
+  })
+
+  it('should not link to a destination that was skipped', async () => {
+    fs.outputFileSync(path.join(dest, 'a'), 'old')
+    fs.outputFileSync(path.join(dest, 'b'), 'old')
+    await fs.copy(src, dest, { preserveHardLinks: true, overwrite: false, concurrency: 1 })
+
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'a'), 'utf8'), 'old')
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'b'), 'utf8'), 'old')
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'sub', 'c'), 'utf8'), 'shared')
+  })
+})
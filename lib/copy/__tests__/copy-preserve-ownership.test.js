@@ -0,0 +1,120 @@
+'use strict'
+
+const fs = require('../../')
+const nativeFs = require('fs')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, afterEach, describe, it */
+
+const isRoot = process.getuid && process.getuid() === 0
+const describeIfRoot = isRoot ? describe : describe.skip
+const describeIfPosix = process.platform === 'win32' ? describe.skip : describe
+
+describe('copy() / copySync() / preserveOwnership', () => {
+  const UID = 1234
+  const GID = 4321
+  let TEST_DIR, src, dest
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-preserve-ownership')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+    fs.outputFileSync(path.join(src, 'sub', 'file'), 'hello')
+    fs.symlinkSync('sub/file', path.join(src, 'link'))
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  describeIfRoot('> when running with privileges', () => {
+    beforeEach(() => {
+      ;['', 'sub', path.join('sub', 'file')].forEach(item => {
+        nativeFs.chownSync(path.join(src, item), UID, GID)
+      })
+      nativeFs.lchownSync(path.join(src, 'link'), UID, GID)
+    })
+
+    function assertOwnership () {
+      ;['sub', path.join('sub', 'file')].forEach(item => {
+        const stats = nativeFs.statSync(path.join(dest, item))
+        assert.strictEqual(stats.uid, UID)
+        assert.strictEqual(stats.gid, GID)
+      })
+      const linkStats = nativeFs.lstatSync(path.join(dest, 'link'))
+      assert.strictEqual(linkStats.uid, UID)
+      assert.strictEqual(linkStats.gid, GID)
+    }
+
+    it('copy() should preserve owner and group', async () => {
+      await fs.copy(src, dest, { preserveOwnership: true })
+      assertOwnership()
+    })
+
+    it('copySync() should preserve owner and group', () => {
+      fs.copySync(src, dest, { preserveOwnership: true })
+      assertOwnership()
+    })
+
+    it('should not preserve ownership by default', async () => {
+      await fs.copy(src, dest)
+      assert.strictEqual(nativeFs.statSync(path.join(dest, 'sub', 'file')).uid, 0)
+    })
+  })
+
+  describeIfPosix('> when the caller lacks privilege', () => {
+    const { chown, lchown } = nativeFs.promises
+    const { chownSync, lchownSync } = nativeFs
+
+    function eperm (syscall) {
+      return () => {
+        const err = new Error('EPERM: operation not permitted')
+        err.code = 'EPERM'
+        err.syscall = syscall
+        throw err
+      }
+    }
+
+    beforeEach(() => {
+      nativeFs.promises.chown = async (...args) => eperm('chown')(...args)
+      nativeFs.promises.lchown = async (...args) => eperm('lchown')(...args)
+      nativeFs.chownSync = eperm('chown')
+      nativeFs.lchownSync = eperm('lchown')
+    })
+
+    afterEach(() => {
+      Object.assign(nativeFs.promises, { chown, lchown })
+      Object.assign(nativeFs, { chownSync, lchownSync })
+    })
+
+    function isOwnershipError (err) {
+      assert.strictEqual(err.code, 'EPERM')
+      assert.strictEqual(typeof err.syscall, 'string')
+      assert(err.src.startsWith(src))
+      assert(err.dest.startsWith(dest))
+      assert.strictEqual(typeof err.uid, 'number')
+      assert.strictEqual(typeof err.gid, 'number')
+      assert(err.message.includes(err.dest))
+      return true
+    }
+
+    it('copy() should reject with a structured error', async () => {
+      await assert.rejects(fs.copy(src, dest, { preserveOwnership: true }), isOwnershipError)
+    })
+
+    it('copySync() should throw a structured error', () => {
+      assert.throws(() => fs.copySync(src, dest, { preserveOwnership: true }), isOwnershipError)
+    })
+
+    it('copy() should leave ownership alone with ifPermitted', async () => {
+      await fs.copy(src, dest, { preserveOwnership: 'ifPermitted' })
+      assert.strictEqual(fs.readFileSync(path.join(dest, 'sub', 'file'), 'utf8'), 'hello')
+    })
+
+    it('copySync() should leave ownership alone with ifPermitted', () => {
+      fs.copySync(src, dest, { preserveOwnership: 'ifPermitted' })
+      assert.strictEqual(fs.readFileSync(path.join(dest, 'sub', 'file'), 'utf8'), 'hello')
+    })
+  })
+})
@@ -0,0 +1,111 @@
+'use strict'
+
+const fs = require('../../')
+const fsImpl = require('../../fs')
+const gracefulFs = require('graceful-fs')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, afterEach, describe, it */
+
+const describeIfPractical = process.arch === 'ia32' ? describe.skip : describe
+
+describeIfPractical('copy() / copySync() / move() / moveSync() - preserve timestamps of directories and symlinks', () => {
+  let TEST_DIR, src, dest
+
+  const dirTime = new Date('2020-01-01T00:00:00Z')
+  const linkTime = new Date('2021-01-01T00:00:00Z')
+  const DIRS = ['', 'sub', path.join('sub', 'deeper'), 'readonly']
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-preserve-timestamp-dirs-links')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+    fs.outputFileSync(path.join(src, 'sub', 'deeper', 'file'), 'file')
+    fs.outputFileSync(path.join(src, 'readonly', 'file'), 'file')
+    fs.symlinkSync('deeper/file', path.join(src, 'sub', 'link'))
+    fs.lutimesSync(path.join(src, 'sub', 'link'), linkTime, linkTime)
+    // deepest first, as setting the times of a child changes its parent
+    DIRS.slice().reverse().forEach(dir => fs.utimesSync(path.join(src, dir), dirTime, dirTime))
+    fs.chmodSync(path.join(src, 'readonly'), 0o555)
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  function assertTimestamps () {
+    DIRS.forEach(dir => {
+      assert.strictEqual(fs.statSync(path.join(dest, dir)).mtime.getTime(), dirTime.getTime(), `mtime of '${dir}'`)
+    })
+    const linkStat = fs.lstatSync(path.join(dest, 'sub', 'link'))
+    assert.strictEqual(linkStat.mtime.getTime(), linkTime.getTime())
+    // reading the link has changed its atime, which is copied as it is then
+    const srcLink = path.join(src, 'sub', 'link')
+    if (fs.existsSync(srcLink)) assert.strictEqual(linkStat.atime.getTime(), fs.lstatSync(srcLink).atime.getTime())
+    assert.strictEqual(fs.readlinkSync(path.join(dest, 'sub', 'link')), 'deeper/file')
+  }
+
+  it('copy() should set the times of directories and symlinks', async () => {
+    await fs.copy(src, dest, { preserveTimestamps: true })
+    assertTimestamps()
+  })
+
+  it('copySync() should set the times of directories and symlinks', () => {
+    fs.copySync(src, dest, { preserveTimestamps: true })
+    assertTimestamps()
+  })
+
+  it('copy() should set the times of directories it merges into', async () => {
+    fs.mkdirsSync(path.join(dest, 'sub'))
+    await fs.copy(src, dest, { preserveTimestamps: true })
+    assertTimestamps()
+  })
+
+  it('copy() should not set them without preserveTimestamps', async () => {
+    await fs.copy(src, dest)
+    assert.notStrictEqual(fs.statSync(path.join(dest, 'sub')).mtime.getTime(), dirTime.getTime())
+    assert.notStrictEqual(fs.lstatSync(path.join(dest, 'sub', 'link')).mtime.getTime(), linkTime.getTime())
+  })
+
+  it('copy() should plan the utimes of directories and symlinks in a dry run', async () => {
+    const plan = await fs.copy(src, dest, { preserveTimestamps: true, dryRun: true })
+    const utimes = plan.filter(entry => entry.op === 'utimes').map(entry => entry.path)
+    assert(utimes.includes(dest))
+    assert(utimes.includes(path.join(dest, 'sub', 'link')))
+    // after everything inside of it
+    assert.strictEqual(plan[plan.length - 1].path, dest)
+  })
+
+  describe('> when moving across devices', () => {
+    const originalRename = fsImpl.rename
+    const originalRenameSync = gracefulFs.renameSync
+
+    function exdev () {
+      const err = new Error()
+      err.code = 'EXDEV'
+      throw err
+    }
+
+    beforeEach(() => {
+      // only the renames of src cross devices
+      fsImpl.rename = async (from, to) => from === src ? exdev() : originalRename(from, to)
+      gracefulFs.renameSync = (from, to) => from === src ? exdev() : originalRenameSync(from, to)
+    })
+
+    afterEach(() => {
+      fsImpl.rename = originalRename
+      gracefulFs.renameSync = originalRenameSync
+    })
+
+    it('move() should keep the times of directories and symlinks', async () => {
+      await fs.move(src, dest)
+      assertTimestamps()
+    })
+
+    it('moveSync() should keep the times of directories and symlinks', () => {
+      fs.moveSync(src, dest)
+      assertTimestamps()
+    })
+  })
+})
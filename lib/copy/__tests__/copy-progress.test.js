@@ -0,0 +1,69 @@
+'use strict'
+
+const fs = require('../../')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+const copy = require('../copy')
+const { CHUNKED_PROGRESS_THRESHOLD } = require('../../util/progress')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('copy() / onProgress', () => {
+  let TEST_DIR, src, dest
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-progress')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+
+    fs.outputFileSync(path.join(src, 'a'), 'aaaa')
+    fs.outputFileSync(path.join(src, 'sub', 'b'), 'bb')
+    fs.symlinkSync('a', path.join(src, 'link'))
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  it('should report every file and the bytes copied so far', async () => {
+    const events = []
+    await copy(src, dest, { onProgress: p => events.push(p) })
+
+    assert.strictEqual(events.length, 3)
+    const last = events[events.length - 1]
+    assert.strictEqual(last.filesDone, 3)
+    assert.strictEqual(last.bytesDone, 6)
+    assert.strictEqual(last.filesTotal, null)
+    assert.strictEqual(last.bytesTotal, null)
+    assert.deepStrictEqual(
+      events.map(e => path.relative(src, e.src)).sort(),
+      ['a', 'link', path.join('sub', 'b')]
+    )
+  })
+
+  it('should report totals up front when prescan is true', async () => {
+    const events = []
+    const filter = file => !file.endsWith('b')
+    await copy(src, dest, { onProgress: p => events.push(p), prescan: true, filter })
+
+    assert.strictEqual(events.length, 2)
+    events.forEach(e => {
+      assert.strictEqual(e.filesTotal, 2)
+      assert.strictEqual(e.bytesTotal, 4)
+    })
+  })
+
+  it('should report chunks of large files', async () => {
+    const big = path.join(src, 'big')
+    fs.writeFileSync(big, Buffer.alloc(CHUNKED_PROGRESS_THRESHOLD + 1))
+
+    const events = []
+    await copy(big, path.join(dest, 'big'), { onProgress: p => events.push(p) })
+
+    assert(events.length > 2, 'expected several chunk events')
+    const last = events[events.length - 1]
+    assert.strictEqual(last.filesDone, 1)
+    assert.strictEqual(last.bytesDone, CHUNKED_PROGRESS_THRESHOLD + 1)
+    assert.strictEqual(fs.statSync(path.join(dest, 'big')).size, CHUNKED_PROGRESS_THRESHOLD + 1)
+  })
+})
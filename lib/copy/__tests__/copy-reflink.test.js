@@ -0,0 +1,82 @@
+'use strict'
+
+const fs = require('../../')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('copy() / copySync() / reflink', () => {
+  let TEST_DIR, src, dest, canClone
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-reflink')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+    fs.outputFileSync(path.join(src, 'a'), 'aaa')
+    fs.outputFileSync(path.join(src, 'sub', 'b'), 'bbb')
+
+    try {
+      fs.copyFileSync(path.join(src, 'a'), path.join(TEST_DIR, 'probe'), fs.constants.COPYFILE_FICLONE_FORCE)
+      canClone = true
+    } catch {
+      canClone = false
+    }
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  const expected = () => [path.join(dest, 'a'), path.join(dest, 'sub', 'b')]
+
+  describe('> when reflink is auto', () => {
+    it('copy() should copy every file and report whether it was cloned', async () => {
+      const result = await fs.copy(src, dest, { reflink: 'auto' })
+
+      assert.deepStrictEqual([...result.cloned, ...result.copied].sort(), expected())
+      assert.strictEqual(result.cloned.length, canClone ? 2 : 0)
+      assert.strictEqual(fs.readFileSync(path.join(dest, 'sub', 'b'), 'utf8'), 'bbb')
+    })
+
+    it('copySync() should copy every file and report whether it was cloned', () => {
+      const result = fs.copySync(src, dest, { reflink: 'auto' })
+
+      assert.deepStrictEqual([...result.cloned, ...result.copied].sort(), expected())
+      assert.strictEqual(result.cloned.length, canClone ? 2 : 0)
+      assert.strictEqual(fs.readFileSync(path.join(dest, 'a'), 'utf8'), 'aaa')
+    })
+  })
+
+  describe('> when reflink is always', () => {
+    it('copy() should clone or fail', async () => {
+      if (canClone) {
+        const result = await fs.copy(src, dest, { reflink: 'always' })
+        assert.deepStrictEqual(result.cloned.sort(), expected())
+      } else {
+        await assert.rejects(fs.copy(src, dest, { reflink: 'always' }), err => !!err.code)
+      }
+    })
+
+    it('copySync() should clone or fail', () => {
+      if (canClone) {
+        const result = fs.copySync(src, dest, { reflink: 'always' })
+        assert.deepStrictEqual(result.cloned.sort(), expected())
+      } else {
+        assert.throws(() => fs.copySync(src, dest, { reflink: 'always' }), err => !!err.code)
+      }
+    })
+  })
+
+  describe('> when reflink is not set', () => {
+    it('should resolve with undefined', async () => {
+      assert.strictEqual(await fs.copy(src, dest), undefined)
+      assert.strictEqual(fs.copySync(src, dest), undefined)
+    })
+  })
+
+  it('should reject an unknown mode', async () => {
+    await assert.rejects(fs.copy(src, dest, { reflink: 'sometimes' }), TypeError)
+    assert.throws(() => fs.copySync(src, dest, { reflink: 'sometimes' }), TypeError)
+  })
+})
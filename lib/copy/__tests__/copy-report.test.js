@@ -0,0 +1,84 @@
+'use strict'
+
+const fs = require('../../')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('copy() / copySync() / report', () => {
+  let TEST_DIR, src, dest
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-report')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+    fs.outputFileSync(path.join(src, 'new.txt'), '12345')
+    fs.outputFileSync(path.join(src, 'existing.txt'), '123')
+    fs.outputFileSync(path.join(src, 'sub', 'skip.log'), 'x')
+    fs.outputFileSync(path.join(src, 'sub', 'deep.txt'), '1234567')
+    fs.symlinkSync('new.txt', path.join(src, 'link'))
+    fs.outputFileSync(path.join(dest, 'existing.txt'), 'old')
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  const copies = {
+    'copy()': (src, dest, opts) => fs.copy(src, dest, opts),
+    'copySync()': (src, dest, opts) => fs.copySync(src, dest, opts)
+  }
+
+  function sorted (report) {
+    for (const key of Object.keys(report)) {
+      if (Array.isArray(report[key])) report[key].sort()
+    }
+    return report
+  }
+
+  Object.keys(copies).forEach(name => {
+    const copy = copies[name]
+
+    describe(name, () => {
+      it('should report what was copied, overwritten, filtered and linked', async () => {
+        const result = await copy(src, dest, { report: true, filter: file => !file.endsWith('.log') })
+        assert.deepStrictEqual(sorted(result.report), {
+          copied: [path.join(dest, 'new.txt'), path.join(dest, 'sub', 'deep.txt')],
+          overwritten: [path.join(dest, 'existing.txt')],
+          skipped: [],
+          filtered: [path.join(src, 'sub', 'skip.log')],
+          symlinks: [path.join(dest, 'link')],
+          bytesWritten: 15
+        })
+      })
+
+      it('should report files skipped because they exist', async () => {
+        const result = await copy(src, dest, { report: true, overwrite: false, exclude: ['sub'] })
+        assert.deepStrictEqual(sorted(result.report), {
+          copied: [path.join(dest, 'new.txt')],
+          overwritten: [],
+          skipped: [path.join(dest, 'existing.txt')],
+          filtered: [path.join(src, 'sub')],
+          symlinks: [path.join(dest, 'link')],
+          bytesWritten: 5
+        })
+      })
+
+      it('should sit next to the other results', async () => {
+        const result = await copy(src, dest, { report: true, overwrite: 'ifNewer' })
+        assert(Array.isArray(result.updated))
+        assert(Array.isArray(result.report.copied))
+      })
+
+      it('should report a filtered src', async () => {
+        const result = await copy(src, dest, { report: true, filter: () => false })
+        assert.deepStrictEqual(result.report.filtered, [src])
+      })
+
+      it('should not return anything without the option', async () => {
+        assert.strictEqual(await copy(src, dest), undefined)
+      })
+    })
+  })
+})
@@ -0,0 +1,165 @@
+'use strict'
+
+const fs = require('../../')
+const fsImpl = require('../../fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const assert = require('assert')
+
+/* global beforeEach, afterEach, describe, it */
+
+// AbortController is a global from Node 15 on
+const itIfAbortController = typeof AbortController === 'undefined' ? it.skip : it
+
+const MiB = 1024 * 1024
+
+describe('copy() / resume', () => {
+  let TEST_DIR, src, dest, partial, checkpoint, data
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-resume')
+    src = path.join(TEST_DIR, 'image.bin')
+    dest = path.join(TEST_DIR, 'out', 'image.bin')
+    partial = `${dest}.partial`
+    checkpoint = `${partial}.checkpoint`
+    fs.emptyDirSync(TEST_DIR)
+    // three chunks, the last one short
+    data = crypto.randomBytes(20 * MiB)
+    fs.writeFileSync(src, data)
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  // copies until the first chunk has been written, then aborts
+  async function interruptedCopy (opts) {
+    const controller = new AbortController()
+    const onProgress = () => controller.abort()
+    await assert.rejects(fs.copy(src, dest, { resume: true, ...opts, signal: controller.signal, onProgress }), { name: 'AbortError' })
+  }
+
+  it('should copy a file above the threshold', async () => {
+    await fs.copy(src, dest, { resume: true, resumeThreshold: 0 })
+    assert(fs.readFileSync(dest).equals(data))
+    assert(!fs.existsSync(partial))
+    assert(!fs.existsSync(checkpoint))
+  })
+
+  itIfAbortController('should leave the partial file and its checkpoint behind when interrupted', async () => {
+    await interruptedCopy({ resumeThreshold: 0 })
+    assert(!fs.existsSync(dest))
+    assert.strictEqual(fs.statSync(partial).size, 8 * MiB)
+    assert.strictEqual(fs.readJsonSync(checkpoint).offset, 8 * MiB)
+  })
+
+  itIfAbortController('should continue from the checkpoint', async () => {
+    await interruptedCopy({ resumeThreshold: 0 })
+
+    const events = []
+    await fs.copy(src, dest, { resume: true, resumeThreshold: 0, onProgress: event => events.push(event.bytesDone) })
+    assert(fs.readFileSync(dest).equals(data))
+    assert.deepStrictEqual(events, [8 * MiB, 16 * MiB, 20 * MiB, 20 * MiB])
+  })
+
+  itIfAbortController('should not copy the bytes of the checkpoint again', async () => {
+    await interruptedCopy({ resumeThreshold: 0 })
+    // a prefix differing from src, but matching the checkpoint, is kept
+    const prefix = Buffer.alloc(8 * MiB, 1)
+    fs.writeFileSync(partial, prefix)
+    const state = fs.readJsonSync(checkpoint)
+    fs.writeJsonSync(checkpoint, { ...state, sha256: crypto.createHash('sha256').update(prefix).digest('hex') })
+
+    await fs.copy(src, dest, { resume: true, resumeThreshold: 0 })
+    const copied = fs.readFileSync(dest)
+    assert(copied.subarray(0, 8 * MiB).equals(prefix))
+    assert(copied.subarray(8 * MiB).equals(data.subarray(8 * MiB)))
+    assert(!fs.existsSync(partial))
+    assert(!fs.existsSync(checkpoint))
+  })
+
+  itIfAbortController('should start over when the partial file does not match the checkpoint', async () => {
+    await interruptedCopy({ resumeThreshold: 0 })
+    const fd = fs.openSync(partial, 'r+')
+    fs.writeSync(fd, Buffer.from('corrupted'), 0, 9, 100)
+    fs.closeSync(fd)
+
+    await fs.copy(src, dest, { resume: true, resumeThreshold: 0 })
+    assert(fs.readFileSync(dest).equals(data))
+  })
+
+  itIfAbortController('should start over when src has changed', async () => {
+    await interruptedCopy({ resumeThreshold: 0 })
+    data = crypto.randomBytes(12 * MiB)
+    fs.writeFileSync(src, data)
+
+    await fs.copy(src, dest, { resume: true, resumeThreshold: 0 })
+    assert(fs.readFileSync(dest).equals(data))
+  })
+
+  itIfAbortController('should start over when the checkpoint is unreadable', async () => {
+    await interruptedCopy({ resumeThreshold: 0 })
+    fs.writeFileSync(checkpoint, '{"offs')
+
+    await fs.copy(src, dest, { resume: true, resumeThreshold: 0 })
+    assert(fs.readFileSync(dest).equals(data))
+    assert(!fs.existsSync(checkpoint))
+  })
+
+  it('should copy files below the threshold normally', async () => {
+    await fs.copy(src, dest, { resume: true })
+    assert(fs.readFileSync(dest).equals(data))
+    assert(!fs.existsSync(partial))
+  })
+
+  it('should still apply mode and timestamps', async () => {
+    fs.chmodSync(src, 0o640)
+    const time = new Date('2020-01-01T00:00:00Z')
+    fs.utimesSync(src, time, time)
+    await fs.copy(src, dest, { resume: true, resumeThreshold: 0, preserveTimestamps: true })
+    const stats = fs.statSync(dest)
+    assert.strictEqual(stats.mode & 0o777, 0o640)
+    assert.strictEqual(stats.mtime.getTime(), time.getTime())
+  })
+
+  it('should throw on an invalid threshold', async () => {
+    await assert.rejects(fs.copy(src, dest, { resume: true, resumeThreshold: -1 }), TypeError)
+  })
+
+  describe('> when moving across devices', () => {
+    const originalRename = fsImpl.rename
+
+    beforeEach(() => {
+      fsImpl.rename = async (from, to) => {
+        // only the rename of src fails, not the one of the partial file
+        if (from !== src) return originalRename(from, to)
+        const err = new Error()
+        err.code = 'EXDEV'
+        throw err
+      }
+    })
+
+    afterEach(() => {
+      fsImpl.rename = originalRename
+    })
+
+    itIfAbortController('should resume an interrupted move', async () => {
+      // the copy is staged next to dest
+      const stagingDir = path.join(path.dirname(dest), `.${path.basename(dest)}-resume`)
+      const partial = path.join(stagingDir, 'new.partial')
+
+      const controller = new AbortController()
+      const onProgress = () => controller.abort()
+      await assert.rejects(fs.move(src, dest, { resume: true, resumeThreshold: 0, signal: controller.signal, onProgress }), { name: 'AbortError' })
+      assert(fs.existsSync(src))
+      assert(!fs.existsSync(dest))
+      assert.strictEqual(fs.statSync(partial).size, 8 * MiB)
+
+      const events = []
+      await fs.move(src, dest, { resume: true, resumeThreshold: 0, onProgress: event => events.push(event.bytesDone) })
+      assert(fs.readFileSync(dest).equals(data))
+      assert(!fs.existsSync(src))
+      assert(!fs.existsSync(stagingDir))
+      assert.strictEqual(events[0], 8 * MiB)
+    })
+  })
+})
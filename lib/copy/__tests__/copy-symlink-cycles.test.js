@@ -0,0 +1,98 @@
+'use strict'
+
+const fs = require('../../')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('copy() / copySync() / symlink cycles with dereference', () => {
+  let TEST_DIR, src, dest
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-symlink-cycles')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+    fs.outputFileSync(path.join(src, 'a', 'b', 'file.txt'), 'file')
+    // a/b/loop -> a
+    fs.symlinkSync('..', path.join(src, 'a', 'b', 'loop'))
+    // two links to the same directory are not a cycle
+    fs.outputFileSync(path.join(TEST_DIR, 'shared', 'file.txt'), 'shared')
+    fs.symlinkSync(path.join(TEST_DIR, 'shared'), path.join(src, 'shared-1'))
+    fs.symlinkSync(path.join(TEST_DIR, 'shared'), path.join(src, 'shared-2'))
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  const copies = {
+    'copy()': (src, dest, opts) => fs.copy(src, dest, opts),
+    'copySync()': (src, dest, opts) => fs.copySync(src, dest, opts)
+  }
+
+  Object.keys(copies).forEach(name => {
+    const copy = copies[name]
+
+    describe(name, () => {
+      it('should fail with an ELOOP error naming the chain', async () => {
+        await assert.rejects(async () => copy(src, dest, { dereference: true }), err => {
+          assert.strictEqual(err.code, 'ELOOP')
+          assert.strictEqual(err.path, path.join(src, 'a', 'b', 'loop'))
+          assert.deepStrictEqual(err.chain, [
+            path.join(src, 'a'),
+            path.join(src, 'a', 'b'),
+            path.join(src, 'a', 'b', 'loop')
+          ])
+          assert(err.message.includes(err.chain.join(' -> ')))
+          return true
+        })
+      })
+
+      it("should keep the link closing the cycle with cycles: 'symlink'", async () => {
+        await copy(src, dest, { symlinks: 'dereference', cycles: 'symlink' })
+        assert.strictEqual(fs.readlinkSync(path.join(dest, 'a', 'b', 'loop')), '..')
+        assert.strictEqual(fs.readFileSync(path.join(dest, 'a', 'b', 'file.txt'), 'utf8'), 'file')
+        assert(!fs.lstatSync(path.join(dest, 'shared-1')).isSymbolicLink())
+        assert.strictEqual(fs.readFileSync(path.join(dest, 'shared-2', 'file.txt'), 'utf8'), 'shared')
+      })
+
+      describe('> with a link to a directory containing src', () => {
+        let outerSrc
+
+        beforeEach(() => {
+          // src/up -> the parent of src, which the copy reaches again
+          // through up/src, a directory rather than a link
+          outerSrc = path.join(TEST_DIR, 'outer', 'src')
+          fs.outputFileSync(path.join(outerSrc, 'file.txt'), 'file')
+          fs.symlinkSync('..', path.join(outerSrc, 'up'))
+        })
+
+        it('should fail with an ELOOP error naming the link', async () => {
+          await assert.rejects(async () => copy(outerSrc, dest, { dereference: true }), err => {
+            assert.strictEqual(err.code, 'ELOOP')
+            assert.strictEqual(err.path, path.join(outerSrc, 'up'))
+            assert.deepStrictEqual(err.chain, [fs.realpathSync(path.join(TEST_DIR, 'outer')), path.join(outerSrc, 'up')])
+            return true
+          })
+        })
+
+        it("should keep that link with cycles: 'symlink'", async () => {
+          await copy(outerSrc, dest, { dereference: true, cycles: 'symlink' })
+          assert.strictEqual(fs.readlinkSync(path.join(dest, 'up')), '..')
+          assert.strictEqual(fs.readFileSync(path.join(dest, 'file.txt'), 'utf8'), 'file')
+        })
+      })
+
+      it('should reject an unknown mode', async () => {
+        await assert.rejects(async () => copy(src, dest, { dereference: true, cycles: 'ignore' }), TypeError)
+      })
+    })
+  })
+
+  it('copy() should not loop while prescanning', async () => {
+    let last
+    await fs.copy(src, dest, { dereference: true, cycles: 'symlink', prescan: true, onProgress: p => { last = p } })
+    assert.strictEqual(last.filesTotal, last.filesDone)
+  })
+})
@@ -0,0 +1,82 @@
+'use strict'
+
+const fs = require('../../')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('copy() / copySync() / symlinks', () => {
+  let TEST_DIR, src, dest, outside
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-symlinks-option')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    outside = path.join(TEST_DIR, 'outside.txt')
+    fs.emptyDirSync(TEST_DIR)
+    fs.outputFileSync(path.join(src, 'file.txt'), 'inside')
+    fs.outputFileSync(outside, 'outside')
+    fs.mkdirSync(path.join(src, 'sub'))
+    fs.symlinkSync(path.join(src, 'file.txt'), path.join(src, 'sub', 'absolute-inside'))
+    fs.symlinkSync(outside, path.join(src, 'sub', 'absolute-outside'))
+    fs.symlinkSync('../file.txt', path.join(src, 'sub', 'relative-inside'))
+    fs.symlinkSync('../../outside.txt', path.join(src, 'sub', 'relative-outside'))
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  const link = name => path.join(dest, 'sub', name)
+
+  const copies = {
+    'copy()': (src, dest, opts) => fs.copy(src, dest, opts),
+    'copySync()': (src, dest, opts) => fs.copySync(src, dest, opts)
+  }
+
+  Object.keys(copies).forEach(name => {
+    const copy = copies[name]
+
+    describe(name, () => {
+      it("should keep link targets as they are with 'preserve'", async () => {
+        await copy(src, dest, { symlinks: 'preserve' })
+        assert.strictEqual(fs.readlinkSync(link('absolute-inside')), path.join(src, 'file.txt'))
+        assert.strictEqual(fs.readlinkSync(link('relative-outside')), '../../outside.txt')
+      })
+
+      it("should copy what links point to with 'dereference'", async () => {
+        await copy(src, dest, { symlinks: 'dereference' })
+        assert(!fs.lstatSync(link('absolute-outside')).isSymbolicLink())
+        assert.strictEqual(fs.readFileSync(link('absolute-outside'), 'utf8'), 'outside')
+        assert.strictEqual(fs.readFileSync(link('relative-inside'), 'utf8'), 'inside')
+      })
+
+      it("should leave links out with 'skip'", async () => {
+        const result = await copy(src, dest, { symlinks: 'skip', report: true })
+        assert.deepStrictEqual(fs.readdirSync(path.join(dest, 'sub')), [])
+        assert.strictEqual(result.report.filtered.length, 4)
+        assert.deepStrictEqual(result.report.symlinks, [])
+      })
+
+      it("should retarget absolute links inside src with 'rewrite'", async () => {
+        const result = await copy(src, dest, { symlinks: 'rewrite' })
+        assert.strictEqual(fs.readlinkSync(link('absolute-inside')), path.join(dest, 'file.txt'))
+        assert.strictEqual(fs.readlinkSync(link('absolute-outside')), outside)
+        assert.strictEqual(fs.readlinkSync(link('relative-inside')), '../file.txt')
+        assert.strictEqual(fs.readlinkSync(link('relative-outside')), '../../outside.txt')
+        assert.deepStrictEqual(result.rewritten, [link('absolute-inside')])
+        assert.deepStrictEqual(result.escaping, [link('relative-outside')])
+      })
+
+      it("should flag relative links escaping a copied subdirectory with 'rewrite'", async () => {
+        const result = await copy(path.join(src, 'sub'), path.join(dest, 'sub'), { symlinks: 'rewrite' })
+        assert.deepStrictEqual(result.escaping.sort(), [link('relative-inside'), link('relative-outside')])
+        assert.deepStrictEqual(result.rewritten, [])
+      })
+
+      it('should reject an unknown mode', async () => {
+        await assert.rejects(async () => copy(src, dest, { symlinks: 'follow' }), TypeError)
+      })
+    })
+  })
+})
@@ -0,0 +1,125 @@
+'use strict'
+
+const fs = require('../../')
+const gfs = require('../../fs')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+const { PassThrough } = require('stream')
+
+/* global beforeEach, afterEach, describe, it */
+
+// AbortController is a global from Node 15 on
+const itIfAbortController = typeof AbortController === 'undefined' ? it.skip : it
+
+describe('copy() / maxBytesPerSecond and maxOpsPerSecond', () => {
+  let TEST_DIR, src, dest
+  const originalCopyFile = gfs.copyFile
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-throttle')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+  })
+
+  afterEach(() => {
+    gfs.copyFile = originalCopyFile
+    return fs.remove(TEST_DIR)
+  })
+
+  it('should stream files through the limit of bytes per second', async () => {
+    const data = Buffer.alloc(1536 * 1024, 'a')
+    fs.outputFileSync(path.join(src, 'file'), data)
+    gfs.copyFile = () => { throw new Error('copyFile should not be used') }
+
+    const start = Date.now()
+    await fs.copy(src, dest, { maxBytesPerSecond: 1024 * 1024 })
+
+    // a second's worth passes at once, the remaining half takes half a second
+    assert(Date.now() - start >= 400)
+    assert(fs.readFileSync(path.join(dest, 'file')).equals(data))
+  })
+
+  it('should limit the number of entries copied per second', async () => {
+    for (let i = 0; i < 5; i++) fs.outputFileSync(path.join(src, `file-${i}`), `${i}`)
+
+    const start = Date.now()
+    await fs.copy(src, dest, { maxOpsPerSecond: 4 })
+
+    // six entries: four at once, then one every quarter of a second
+    assert(Date.now() - start >= 400)
+    assert.deepStrictEqual(fs.readdirSync(dest).sort(), fs.readdirSync(src).sort())
+  })
+
+  it('should count directories as entries', async () => {
+    for (let i = 0; i < 5; i++) fs.mkdirsSync(path.join(src, `dir-${i}`))
+
+    const start = Date.now()
+    await fs.copy(src, dest, { maxOpsPerSecond: 4 })
+
+    assert(Date.now() - start >= 400)
+    assert.strictEqual(fs.readdirSync(dest).length, 5)
+  })
+
+  it('should limit the bytes written by transform', async () => {
+    fs.outputFileSync(path.join(src, 'file'), 'a')
+    const data = Buffer.alloc(1536 * 1024, 'b')
+
+    const start = Date.now()
+    await fs.copy(src, dest, { maxBytesPerSecond: 1024 * 1024, transform: () => () => data })
+
+    assert(Date.now() - start >= 400)
+    assert(fs.readFileSync(path.join(dest, 'file')).equals(data))
+  })
+
+  it('should limit the bytes written by a transform stream', async () => {
+    const data = Buffer.alloc(1536 * 1024, 'a')
+    fs.outputFileSync(path.join(src, 'file'), data)
+
+    const start = Date.now()
+    await fs.copy(src, dest, { maxBytesPerSecond: 1024 * 1024, transform: () => new PassThrough() })
+
+    assert(Date.now() - start >= 400)
+    assert(fs.readFileSync(path.join(dest, 'file')).equals(data))
+  })
+
+  it('should apply a limit changed while copying', async () => {
+    for (let i = 0; i < 8; i++) fs.outputFileSync(path.join(src, `file-${i}`), `${i}`)
+
+    let limit = Infinity
+    const start = Date.now()
+    // once limited to 4 per second, the seven entries left take 0.75 seconds
+    await fs.copy(src, dest, { maxOpsPerSecond: () => limit, concurrency: 1, onProgress: () => { limit = 4 } })
+
+    assert(Date.now() - start >= 500)
+    assert.strictEqual(fs.readdirSync(dest).length, 8)
+  })
+
+  it('should work along with concurrency', async () => {
+    for (let i = 0; i < 5; i++) fs.outputFileSync(path.join(src, `file-${i}`), Buffer.alloc(64 * 1024, i))
+
+    await fs.copy(src, dest, { maxBytesPerSecond: 512 * 1024, maxOpsPerSecond: 100, concurrency: 2 })
+
+    for (let i = 0; i < 5; i++) {
+      assert(fs.readFileSync(path.join(dest, `file-${i}`)).equals(fs.readFileSync(path.join(src, `file-${i}`))))
+    }
+  })
+
+  itIfAbortController('should abort while waiting and not leave a partial file', async () => {
+    fs.outputFileSync(path.join(src, 'file'), Buffer.alloc(256 * 1024, 'a'))
+
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(), 100)
+    // at this rate, the copy would take minutes
+    await assert.rejects(fs.copy(src, dest, { maxBytesPerSecond: 1024, signal: controller.signal }), { name: 'AbortError' })
+
+    assert(!fs.existsSync(path.join(dest, 'file')))
+  })
+
+  it('should reject invalid limits', async () => {
+    fs.outputFileSync(path.join(src, 'file'), 'a')
+    await assert.rejects(fs.copy(src, dest, { maxBytesPerSecond: 0 }), TypeError)
+    await assert.rejects(fs.copy(src, dest, { maxOpsPerSecond: 'fast' }), TypeError)
+  })
+})
@@ -0,0 +1,111 @@
+'use strict'
+
+const fs = require('../../')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+const { Transform } = require('stream')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('copy() / transform', () => {
+  let TEST_DIR, src, dest
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-transform')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+    fs.outputFileSync(path.join(src, 'version.txt'), 'version __VERSION__')
+    fs.outputJsonSync(path.join(src, 'data.json'), { a: 1, b: [1, 2] }, { spaces: 2 })
+    fs.outputFileSync(path.join(src, 'sub', 'other.txt'), 'untouched __VERSION__')
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  const read = (...parts) => fs.readFileSync(path.join(dest, ...parts), 'utf8')
+
+  function upperCase () {
+    return new Transform({
+      transform (chunk, encoding, callback) {
+        callback(null, chunk.toString().toUpperCase())
+      }
+    })
+  }
+
+  it('should pass files through a returned function', async () => {
+    await fs.copy(src, dest, {
+      transform (srcFile) {
+        if (path.extname(srcFile) === '.json') return contents => JSON.stringify(JSON.parse(contents))
+        if (path.basename(srcFile) === 'version.txt') return contents => contents.toString().replace('__VERSION__', '1.2.3')
+      }
+    })
+    assert.strictEqual(read('version.txt'), 'version 1.2.3')
+    assert.strictEqual(read('data.json'), '{"a":1,"b":[1,2]}')
+    assert.strictEqual(read('sub', 'other.txt'), 'untouched __VERSION__')
+  })
+
+  it('should pipe files through a returned stream', async () => {
+    await fs.copy(src, dest, { transform: srcFile => srcFile.endsWith('.txt') ? upperCase() : null })
+    assert.strictEqual(read('version.txt'), 'VERSION __VERSION__')
+    assert.strictEqual(read('sub', 'other.txt'), 'UNTOUCHED __VERSION__')
+    assert.strictEqual(read('data.json'), fs.readFileSync(path.join(src, 'data.json'), 'utf8'))
+  })
+
+  it('should be called with the paths and the stats of each file', async () => {
+    const calls = []
+    await fs.copy(src, dest, {
+      transform (srcFile, destFile, stats) {
+        calls.push([srcFile, destFile, stats.isFile()])
+      }
+    })
+    assert.deepStrictEqual(calls.sort(), [
+      [path.join(src, 'data.json'), path.join(dest, 'data.json'), true],
+      [path.join(src, 'sub', 'other.txt'), path.join(dest, 'sub', 'other.txt'), true],
+      [path.join(src, 'version.txt'), path.join(dest, 'version.txt'), true]
+    ])
+  })
+
+  it('should wait for async functions', async () => {
+    await fs.copy(src, dest, {
+      transform: async () => async contents => Buffer.from(contents.toString().split('').reverse().join(''))
+    })
+    assert.strictEqual(read('version.txt'), '__NOISREV__ noisrev')
+  })
+
+  it('should still preserve mode and timestamps', async () => {
+    const file = path.join(src, 'version.txt')
+    fs.chmodSync(file, 0o600)
+    const time = new Date('2020-01-01T00:00:00Z')
+    fs.utimesSync(file, time, time)
+
+    await fs.copy(src, dest, { preserveTimestamps: true, transform: () => contents => contents + '!' })
+    const stats = fs.statSync(path.join(dest, 'version.txt'))
+    assert.strictEqual(stats.mode & 0o777, 0o600)
+    assert.strictEqual(stats.mtime.getTime(), time.getTime())
+    assert.strictEqual(read('version.txt'), 'version __VERSION__!')
+  })
+
+  it('should report the bytes actually written', async () => {
+    const result = await fs.copy(path.join(src, 'version.txt'), path.join(dest, 'version.txt'), {
+      report: true,
+      transform: () => () => 'v'
+    })
+    assert.strictEqual(result.report.bytesWritten, 1)
+  })
+
+  it('should not leave a partial file behind when the transform fails', async () => {
+    const failing = () => new Transform({
+      transform (chunk, encoding, callback) {
+        callback(new Error('transform failed'))
+      }
+    })
+    await assert.rejects(fs.copy(src, dest, { transform: failing }), /transform failed/)
+    assert(!fs.existsSync(path.join(dest, 'version.txt')))
+  })
+
+  it('should throw on an invalid transform', async () => {
+    await assert.rejects(fs.copy(src, dest, { transform: 'upper' }), TypeError)
+    await assert.rejects(fs.copy(src, dest, { transform: () => 'upper' }), TypeError)
+  })
+})
@@ -0,0 +1,94 @@
+'use strict'
+
+const fs = require('../../')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+const utimesSync = require('../../util/utimes').utimesMillisSync
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('copy() / copySync() / update modes', () => {
+  let TEST_DIR, src, dest
+  const past = new Date(Date.now() - 60 * 1000)
+  const now = new Date()
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-update')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+
+    fs.outputFileSync(path.join(src, 'unchanged'), 'same')
+    fs.outputFileSync(path.join(src, 'modified'), 'new!')
+    fs.outputFileSync(path.join(src, 'resized'), 'longer')
+    fs.outputFileSync(path.join(src, 'added'), 'added')
+
+    fs.outputFileSync(path.join(dest, 'unchanged'), 'same')
+    fs.outputFileSync(path.join(dest, 'modified'), 'old!')
+    fs.outputFileSync(path.join(dest, 'resized'), 'short')
+
+    // src was modified after dest, except for the unchanged file
+    ;['modified', 'resized'].forEach(file => {
+      utimesSync(path.join(dest, file), past, past)
+      utimesSync(path.join(src, file), now, now)
+    })
+    utimesSync(path.join(dest, 'unchanged'), past, past)
+    utimesSync(path.join(src, 'unchanged'), past, past)
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  const rel = list => list.map(file => path.relative(dest, file)).sort()
+
+  ;[
+    { name: 'copy()', copy: (...args) => fs.copy(...args) },
+    { name: 'copySync()', copy: (...args) => fs.copySync(...args) }
+  ].forEach(({ name, copy }) => {
+    describe(`> ${name}`, () => {
+      it('ifNewer should only replace files older than their source', async () => {
+        const result = await copy(src, dest, { overwrite: 'ifNewer' })
+
+        assert.deepStrictEqual(rel(result.updated), ['added', 'modified', 'resized'])
+        assert.deepStrictEqual(rel(result.skipped), ['unchanged'])
+        assert.strictEqual(fs.readFileSync(path.join(dest, 'modified'), 'utf8'), 'new!')
+      })
+
+      it('ifNewer should keep destination files that are newer', async () => {
+        utimesSync(path.join(dest, 'modified'), now, now)
+        utimesSync(path.join(src, 'modified'), past, past)
+        const result = await copy(src, dest, { overwrite: 'ifNewer' })
+
+        assert(rel(result.skipped).includes('modified'))
+        assert.strictEqual(fs.readFileSync(path.join(dest, 'modified'), 'utf8'), 'old!')
+      })
+
+      it('ifDifferent should replace files whose size or mtime differ', async () => {
+        utimesSync(path.join(dest, 'modified'), now, now)
+        utimesSync(path.join(src, 'modified'), past, past)
+        const result = await copy(src, dest, { overwrite: 'ifDifferent' })
+
+        assert.deepStrictEqual(rel(result.updated), ['added', 'modified', 'resized'])
+        assert.deepStrictEqual(rel(result.skipped), ['unchanged'])
+        assert.strictEqual(fs.readFileSync(path.join(dest, 'modified'), 'utf8'), 'new!')
+      })
+
+      it('ifDifferent with compareContents should compare contents of same-sized files', async () => {
+        // same contents, different mtime: not replaced
+        utimesSync(path.join(src, 'unchanged'), now, now)
+        const result = await copy(src, dest, { overwrite: 'ifDifferent', compareContents: true })
+
+        assert.deepStrictEqual(rel(result.updated), ['added', 'modified', 'resized'])
+        assert.deepStrictEqual(rel(result.skipped), ['unchanged'])
+      })
+
+      it('a second copy should not touch anything', async () => {
+        await copy(src, dest, { overwrite: 'ifDifferent', preserveTimestamps: true })
+        const result = await copy(src, dest, { overwrite: 'ifDifferent', preserveTimestamps: true })
+
+        assert.deepStrictEqual(result.updated, [])
+        assert.strictEqual(result.skipped.length, 4)
+      })
+    })
+  })
+})
@@ -0,0 +1,100 @@
+'use strict'
+
+const fs = require('../../')
+const gfs = require('../../fs')
+const gracefulFs = require('graceful-fs')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('copy() / copySync() / move() / verify', () => {
+  let TEST_DIR, src, dest
+  const { copyFile, rename } = gfs
+  const { copyFileSync } = gracefulFs
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'copy-verify')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+    fs.outputFileSync(path.join(src, 'a'), 'aaaa')
+    fs.outputFileSync(path.join(src, 'sub', 'b'), 'bbbb')
+  })
+
+  afterEach(done => {
+    Object.assign(gfs, { copyFile, rename })
+    gracefulFs.copyFileSync = copyFileSync
+    fs.remove(TEST_DIR, done)
+  })
+
+  // simulate a copy that silently corrupts 'b'
+  function corruptCopies () {
+    gfs.copyFile = async (from, to, ...args) => {
+      await copyFile(from, to, ...args)
+      if (path.basename(from) === 'b') fs.writeFileSync(to, 'bbbc')
+    }
+    gracefulFs.copyFileSync = (from, to, ...args) => {
+      copyFileSync(from, to, ...args)
+      if (path.basename(from) === 'b') fs.writeFileSync(to, 'bbbc')
+    }
+  }
+
+  function isMismatch (verify) {
+    return err => {
+      assert.strictEqual(err.code, 'ERR_VERIFY_MISMATCH')
+      assert.strictEqual(err.src, path.join(src, 'sub', 'b'))
+      assert.strictEqual(err.dest, path.join(dest, 'sub', 'b'))
+      assert.strictEqual(err.verify, verify)
+      assert.notStrictEqual(err.expected, err.actual)
+      assert(err.message.includes(err.dest))
+      return true
+    }
+  }
+
+  ;['size', 'sha256', 'md5'].forEach(verify => {
+    it(`copy() should pass verification by ${verify}`, async () => {
+      await fs.copy(src, dest, { verify })
+      assert.strictEqual(fs.readFileSync(path.join(dest, 'sub', 'b'), 'utf8'), 'bbbb')
+    })
+
+    it(`copySync() should pass verification by ${verify}`, () => {
+      fs.copySync(src, dest, { verify })
+      assert.strictEqual(fs.readFileSync(path.join(dest, 'sub', 'b'), 'utf8'), 'bbbb')
+    })
+  })
+
+  it('copy() should reject with a mismatch error', async () => {
+    corruptCopies()
+    await assert.rejects(fs.copy(src, dest, { verify: 'sha256' }), isMismatch('sha256'))
+  })
+
+  it('copySync() should throw a mismatch error', () => {
+    corruptCopies()
+    assert.throws(() => fs.copySync(src, dest, { verify: 'sha256' }), isMismatch('sha256'))
+  })
+
+  it('size verification should not catch same-sized corruption', async () => {
+    corruptCopies()
+    await fs.copy(src, dest, { verify: 'size' })
+  })
+
+  it('should reject an unknown algorithm', async () => {
+    await assert.rejects(fs.copy(src, dest, { verify: 'crc-nope' }), TypeError)
+    assert.throws(() => fs.copySync(src, dest, { verify: 'crc-nope' }), TypeError)
+  })
+
+  it('move() across devices should keep src when verification fails', async () => {
+    gfs.rename = async (from, to) => {
+      if (from !== src) return rename(from, to)
+      const err = new Error()
+      err.code = 'EXDEV'
+      throw err
+    }
+    corruptCopies()
+
+    await assert.rejects(fs.move(src, dest, { verify: 'sha256' }), isMismatch('sha256'))
+    assert.strictEqual(fs.readFileSync(path.join(src, 'sub', 'b'), 'utf8'), 'bbbb')
+  })
+})
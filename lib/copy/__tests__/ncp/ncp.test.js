@@ -128,12 +128,11 @@ describe('ncp', () => {
     })
 
     describe('when using transform', () => {
-      it('file descriptors are passed correctly', cb => {
+      it('paths and stats are passed correctly', cb => {
         ncp(src, out, {
-          transform: (read, write, file) => {
-            assert.notStrictEqual(file.name, undefined)
-            assert.strictEqual(typeof file.mode, 'number')
-            read.pipe(write)
+          transform: (srcFile, destFile, stats) => {
+            assert.strictEqual(path.relative(src, srcFile), path.relative(out, destFile))
+            assert.strictEqual(typeof stats.mode, 'number')
           }
         }, cb)
       })
@@ -0,0 +1,240 @@
+'use strict'
+
+const fs = require('../fs')
+const path = require('path')
+const { mkdirs } = require('../mkdirs')
+const stat = require('../util/stat')
+const { throwIfAborted } = require('../util/abort')
+const { findCycle, cycleError } = require('./utils')
+
+// Size of the buffer each file is read into before being written to every
+// destination.
+const FAN_OUT_CHUNK_SIZE = 1024 * 1024
+
+// The only options this mode implements. Any other would be silently
+// ignored, so it is rejected instead. `clobber` is set by copy() itself.
+const MULTI_OPTIONS = ['overwrite', 'clobber', 'errorOnExist', 'dereference', 'preserveTimestamps', 'signal', 'filter']
+
+// copy(src, [dest1, dest2, ...]) walks src once, reading every directory
+// and file a single time and writing it to all the destinations. Each
+// destination has its own outcome: when something fails for one of them,
+// that destination is given up, with the error, while the copy goes on for
+// the others. Only errors on the side of src reject the copy as a whole.
+//
+// Resolves with one `{ dest, copied, skipped, error }` per destination, in
+// the order given: the paths of the files and symlinks written, of those
+// left alone because they exist, and the error that stopped it (or null).
+async function copyMulti (src, dests, opts) {
+  if (dests.length === 0 || !dests.every(dest => typeof dest === 'string') || new Set(dests.map(dest => path.resolve(dest))).size !== dests.length) {
+    throw new TypeError(`Expected \`dest\` to be a path or a non-empty array of distinct paths, got ${dests}`)
+  }
+  checkMultiOptions(opts)
+
+  throwIfAborted(opts.signal)
+
+  const srcStat = await statSrc(src, opts)
+  // directory => 'dev:ino' it resolves to, to detect symlink cycles
+  if (opts.dereference) opts.dirKeys = new Map()
+  const targets = dests.map(dest => ({ dest, copied: [], skipped: [], error: null }))
+
+  await forEachTarget(targets, src, '', async (target, dest) => {
+    const { srcStat } = await stat.checkPaths(src, dest, 'copy', opts)
+    await stat.checkParentPaths(src, srcStat, dest, 'copy')
+    await mkdirs(path.dirname(dest))
+  })
+
+  await copyEntry(srcStat, src, '', targets, opts)
+  return targets
+}
+
+function checkMultiOptions (opts) {
+  const unsupported = Object.keys(opts).filter(key => opts[key] !== undefined && !MULTI_OPTIONS.includes(key))
+  if (unsupported.length > 0) {
+    throw new TypeError(`Options not supported when copying to several destinations: ${unsupported.join(', ')}`)
+  }
+  if (typeof opts.overwrite !== 'boolean') {
+    throw new TypeError(`Expected \`overwrite\` to be a boolean when copying to several destinations, got ${opts.overwrite}`)
+  }
+}
+
+function statSrc (src, opts) {
+  return opts.dereference ? fs.stat(src) : fs.lstat(src)
+}
+
+// `relative` is the path of src relative to the root of the copy, which is
+// also where it goes relative to each destination.
+async function copyEntry (srcStat, src, relative, targets, opts) {
+  throwIfAborted(opts.signal)
+
+  targets = targets.filter(target => !target.error)
+  if (targets.length === 0) return
+
+  if (opts.filter) {
+    const dests = targets.map(target => path.join(target.dest, relative))
+    if (!(await opts.filter(src, dests))) return
+  }
+
+  if (srcStat.isDirectory()) return copyDir(srcStat, src, relative, targets, opts)
+  if (srcStat.isFile() || srcStat.isCharacterDevice() || srcStat.isBlockDevice()) {
+    return copyFile(srcStat, src, relative, targets, opts)
+  }
+  if (srcStat.isSymbolicLink()) return copyLink(src, relative, targets, opts)
+  if (srcStat.isSocket()) throw new Error(`Cannot copy a socket file: ${src}`)
+  if (srcStat.isFIFO()) throw new Error(`Cannot copy a FIFO pipe: ${src}`)
+  throw new Error(`Unknown file: ${src}`)
+}
+
+async function copyDir (srcStat, src, relative, targets, opts) {
+  if (opts.dirKeys) {
+    // plain numbers can't hold every inode exactly
+    const { dev, ino } = await fs.stat(src, { bigint: true })
+    const key = `${dev}:${ino}`
+    const chain = findCycle(src, key, opts.dirKeys)
+    if (chain) throw cycleError(chain)
+    opts.dirKeys.set(path.resolve(src), key)
+  }
+
+  // directories created here get the mode of src once they are complete
+  const created = new Set()
+  await forEachTarget(targets, src, relative, async (target, dest) => {
+    const destStat = await lstatIfExists(dest)
+    if (!destStat) {
+      await fs.mkdir(dest)
+      created.add(target)
+    } else if (!destStat.isDirectory()) {
+      throw new Error(`Cannot overwrite non-directory '${dest}' with directory '${src}'.`)
+    }
+  })
+
+  for (const item of await fs.readdir(src)) {
+    const srcItem = path.join(src, item)
+    await copyEntry(await statSrc(srcItem, opts), srcItem, path.join(relative, item), targets, opts)
+  }
+
+  const times = opts.preserveTimestamps ? await fs.stat(src) : null
+  await forEachTarget(targets, src, relative, async (target, dest) => {
+    if (created.has(target)) await fs.chmod(dest, srcStat.mode)
+    // only now, as writing the children changes the times of the directory
+    if (times) await fs.utimes(dest, times.atime, times.mtime)
+  })
+}
+
+async function copyFile (srcStat, src, relative, targets, opts) {
+  const writers = await prepareWriters(targets, src, relative, opts)
+  if (writers.length === 0) return
+
+  await fanOut(src, relative, writers)
+
+  // reading src has changed its atime, so it is stat'ed again
+  const times = opts.preserveTimestamps ? await fs.stat(src) : null
+  await forEachTarget(writers, src, relative, async (target, dest) => {
+    if (times) await fs.utimes(dest, times.atime, times.mtime)
+    await fs.chmod(dest, srcStat.mode)
+    target.copied.push(dest)
+  })
+}
+
+// Reads src chunk by chunk, writing every chunk to all of the `writers`
+// before reading the next one. A destination that can't be written to is
+// given up and its partial file removed.
+async function fanOut (src, relative, writers) {
+  const source = await fs.promises.open(src, 'r')
+  const outputs = []
+  let complete = false
+
+  try {
+    await forEachTarget(writers, src, relative, async (target, dest) => {
+      outputs.push({ target, dest, handle: await fs.promises.open(dest, 'w') })
+    })
+
+    const buffer = Buffer.alloc(FAN_OUT_CHUNK_SIZE)
+    let position = 0
+    while (true) {
+      const { bytesRead } = await source.read(buffer, 0, buffer.length, position)
+      if (bytesRead === 0) break
+
+      await Promise.all(outputs.filter(output => !output.target.error).map(async output => {
+        try {
+          await output.handle.write(buffer, 0, bytesRead, position)
+        } catch (err) {
+          output.target.error = withPaths(err, src, output.dest)
+        }
+      }))
+      // reads may come up short before the end, e.g. from devices
+      position += bytesRead
+    }
+    complete = true
+  } finally {
+    await source.close()
+    await Promise.all(outputs.map(async output => {
+      try {
+        await output.handle.close()
+      } catch (err) {
+        if (!output.target.error) output.target.error = withPaths(err, src, output.dest)
+      }
+      // never leave a partially written file behind
+      if (!complete || output.target.error) await fs.unlink(output.dest).catch(() => {})
+    }))
+  }
+}
+
+async function copyLink (src, relative, targets, opts) {
+  const link = await fs.readlink(src)
+  const writers = await prepareWriters(targets, src, relative, opts)
+
+  const times = opts.preserveTimestamps ? await fs.lstat(src) : null
+  await forEachTarget(writers, src, relative, async (target, dest) => {
+    await fs.symlink(link, dest)
+    if (times) await fs.lutimes(dest, times.atime, times.mtime)
+    target.copied.push(dest)
+  })
+}
+
+// Deals with the destinations where the file or symlink src already exists,
+// following `overwrite` and `errorOnExist`, and resolves with those it is to
+// be written to, with the existing entries removed.
+async function prepareWriters (targets, src, relative, opts) {
+  const writers = []
+  await forEachTarget(targets, src, relative, async (target, dest) => {
+    const destStat = await lstatIfExists(dest)
+    if (destStat) {
+      if (destStat.isDirectory()) throw new Error(`Cannot overwrite directory '${dest}' with non-directory '${src}'.`)
+      if (!opts.overwrite) {
+        if (opts.errorOnExist) throw new Error(`'${dest}' already exists`)
+        target.skipped.push(dest)
+        return
+      }
+      await fs.unlink(dest)
+    }
+    writers.push(target)
+  })
+  return writers
+}
+
+// Runs `fn(target, dest)` for every destination still going, giving up those
+// for which it fails.
+function forEachTarget (targets, src, relative, fn) {
+  return Promise.all(targets.filter(target => !target.error).map(async target => {
+    const dest = path.join(target.dest, relative)
+    try {
+      await fn(target, dest)
+    } catch (err) {
+      target.error = withPaths(err, src, dest)
+    }
+  }))
+}
+
+function lstatIfExists (file) {
+  return fs.lstat(file).catch(err => {
+    if (err.code === 'ENOENT') return null
+    throw err
+  })
+}
+
+function withPaths (err, src, dest) {
+  if (err.src === undefined) err.src = src
+  if (err.dest === undefined) err.dest = dest
+  return err
+}
+
+module.exports = copyMulti
@@ -0,0 +1,441 @@
+'use strict'
+
+const fs = require('graceful-fs')
+const path = require('path')
+const mkdirsSync = require('../mkdirs').mkdirsSync
+const removeSync = require('../remove').removeSync
+const utimesMillisSync = require('../util/utimes').utimesMillisSync
+const stat = require('../util/stat')
+const { createGlobFilter } = require('../util/glob')
+const { createIgnoreFilter } = require('../util/ignore')
+const {
+  checkReflinkMode,
+  isCloneUnsupported,
+  checkSymlinksMode,
+  rewriteLink,
+  checkCyclesMode,
+  findCycle,
+  findLinkCycleSync,
+  cycleError,
+  checkConflictMode,
+  checkConflictDecision,
+  freeNameSync,
+  unstageResult,
+  checkVerifyMode,
+  verifyFileSync,
+  isUpdateMode,
+  needsUpdateSync,
+  preserveOwnershipSync,
+  createReport,
+  addToReport
+} = require('./utils')
+
+function copySync (src, dest, opts) {
+  if (typeof opts === 'function') {
+    opts = { filter: opts }
+  } else {
+    // the options object also carries per-operation state, so never mutate
+    // the caller's object
+    opts = { ...opts }
+  }
+
+  opts.clobber = 'clobber' in opts ? !!opts.clobber : true // default to true for now
+  opts.overwrite = 'overwrite' in opts ? normalizeOverwrite(opts.overwrite) : opts.clobber // overwrite falls back to clobber
+
+  // Warn about using preserveTimestamps on 32-bit node
+  if (opts.preserveTimestamps && process.arch === 'ia32') {
+    process.emitWarning(
+      'Using the preserveTimestamps option in 32-bit node is not recommended;\n\n' +
+      '\tsee https://github.com/jprichardson/node-fs-extra/issues/269',
+      'Warning', 'fs-extra-WARN0002'
+    )
+  }
+
+  if (opts.preserveHardLinks) {
+    // inode ('dev:ino') => first destination written for it
+    opts.hardLinks = new Map()
+  }
+
+  // options that report back per-file outcomes add their lists to the
+  // result copySync returns; it stays undefined when none is set
+  if (opts.reflink) {
+    checkReflinkMode(opts.reflink)
+    opts.result = { ...opts.result, cloned: [], copied: [] }
+  }
+
+  if (opts.verify) checkVerifyMode(opts.verify)
+
+  if (opts.symlinks !== undefined) {
+    checkSymlinksMode(opts.symlinks)
+    opts.dereference = opts.symlinks === 'dereference'
+    if (opts.symlinks === 'rewrite') {
+      opts.result = { ...opts.result, rewritten: [], escaping: [] }
+    }
+  }
+
+  if (opts.cycles !== undefined) checkCyclesMode(opts.cycles)
+  if (opts.conflict !== undefined) checkConflictMode(opts.conflict)
+
+  opts.globFilter = createGlobFilter(src, opts)
+  if (opts.ignoreFiles) opts.ignore = createIgnoreFilter(src, opts.ignoreFiles)
+
+  if (isUpdateMode(opts.overwrite)) {
+    opts.result = { ...opts.result, updated: [], skipped: [] }
+  }
+
+  if (opts.report) {
+    opts.result = { ...opts.result, report: createReport() }
+  }
+
+  const { srcStat, destStat } = stat.checkPathsSync(src, dest, 'copy', opts)
+  stat.checkParentPathsSync(src, srcStat, dest, 'copy')
+  if (opts.dereference) {
+    // directory => 'dev:ino' it resolves to, to detect symlink cycles
+    opts.dirKeys = new Map([[path.resolve(src), `${srcStat.dev}:${srcStat.ino}`]])
+    opts.srcRealPath = fs.realpathSync(src)
+  }
+  if (opts.symlinks === 'rewrite') {
+    opts.linkRoots = { src: [...new Set([path.resolve(src), fs.realpathSync(src)])], dest: path.resolve(dest) }
+  }
+  if (opts.filter && !opts.filter(src, dest)) {
+    addToReport(opts, 'filtered', src)
+    return opts.result
+  }
+  const destParent = path.dirname(dest)
+  if (!fs.existsSync(destParent)) mkdirsSync(destParent)
+  if (opts.atomic) return copyAtomic(destStat, src, dest, opts)
+  getStats(destStat, src, dest, opts)
+  return opts.result
+}
+
+// See copyAtomic() in copy.js.
+function copyAtomic (destStat, src, dest, opts) {
+  if (destStat && !opts.overwrite) {
+    if (opts.errorOnExist) throw new Error(`'${dest}' already exists`)
+    return opts.result
+  }
+
+  const stagingDir = fs.mkdtempSync(path.join(path.dirname(dest), `.${path.basename(dest)}-`))
+  const staged = path.join(stagingDir, 'new')
+  const backup = path.join(stagingDir, 'old')
+  let keepStagingDir = false
+
+  try {
+    getStats(null, src, staged, opts)
+    if (destStat) fs.renameSync(dest, backup)
+    try {
+      fs.renameSync(staged, dest)
+    } catch (err) {
+      if (destStat) {
+        // should putting dest back fail too, the staging directory still
+        // holds it, and the caller still learns why the copy failed
+        try {
+          fs.renameSync(backup, dest)
+        } catch (restoreError) {
+          keepStagingDir = true
+          err.restoreError = restoreError
+        }
+      }
+      throw err
+    }
+  } finally {
+    if (!keepStagingDir) removeSync(stagingDir)
+  }
+
+  unstageResult(opts.result, staged, dest)
+  return opts.result
+}
+
+function normalizeOverwrite (overwrite) {
+  return isUpdateMode(overwrite) ? overwrite : !!overwrite
+}
+
+function getStats (destStat, src, dest, opts) {
+  const statSync = opts.dereference ? fs.statSync : fs.lstatSync
+  const srcStat = statSync(src)
+
+  if (isConflict(srcStat, destStat, opts)) {
+    dest = resolveConflict(destStat, src, dest, opts)
+    if (!dest) return
+    destStat = null
+  }
+
+  if (srcStat.isDirectory()) return onDir(srcStat, destStat, src, dest, opts)
+  else if (srcStat.isFile() ||
+           srcStat.isCharacterDevice() ||
+           srcStat.isBlockDevice()) return onFile(srcStat, destStat, src, dest, opts)
+  else if (srcStat.isSymbolicLink()) return onLink(srcStat, destStat, src, dest, opts)
+  else if (srcStat.isSocket()) throw new Error(`Cannot copy a socket file: ${src}`)
+  else if (srcStat.isFIFO()) throw new Error(`Cannot copy a FIFO pipe: ${src}`)
+  throw new Error(`Unknown file: ${src}`)
+}
+
+// An existing dest is a conflict for the `conflict` option, unless both are
+// directories, whose contents are merged.
+function isConflict (srcStat, destStat, opts) {
+  return opts.conflict && destStat && !(srcStat.isDirectory() && destStat.isDirectory())
+}
+
+// Returns where src is to be copied to now that dest is out of the way, or
+// null to skip it.
+function resolveConflict (destStat, src, dest, opts) {
+  let decision = opts.conflict
+  if (typeof decision === 'function') {
+    const statSync = opts.dereference ? fs.statSync : fs.lstatSync
+    decision = checkConflictDecision(decision(src, dest, statSync(src), statSync(dest)))
+  }
+
+  if (decision === 'skip') {
+    addToReport(opts, 'skipped', dest)
+    return null
+  }
+  if (decision === 'error') throw new Error(`'${dest}' already exists`)
+  if (decision === 'rename') return freeNameSync(src, dest)
+
+  if (destStat.isDirectory()) removeSync(dest)
+  else fs.unlinkSync(dest)
+  return dest
+}
+
+function onFile (srcStat, destStat, src, dest, opts) {
+  if (!destStat) {
+    if (isUpdateMode(opts.overwrite)) opts.result.updated.push(dest)
+    copyFile(srcStat, src, dest, opts)
+    return addToReport(opts, 'copied', dest)
+  }
+  return mayCopyFile(srcStat, destStat, src, dest, opts)
+}
+
+function mayCopyFile (srcStat, destStat, src, dest, opts) {
+  if (isUpdateMode(opts.overwrite)) {
+    if (!needsUpdateSync(srcStat, destStat, src, dest, opts)) {
+      opts.result.skipped.push(dest)
+      return addToReport(opts, 'skipped', dest)
+    }
+    opts.result.updated.push(dest)
+  }
+
+  if (opts.overwrite) {
+    fs.unlinkSync(dest)
+    copyFile(srcStat, src, dest, opts)
+    return addToReport(opts, 'overwritten', dest)
+  } else if (opts.errorOnExist) {
+    throw new Error(`'${dest}' already exists`)
+  }
+  addToReport(opts, 'skipped', dest)
+}
+
+function copyFile (srcStat, src, dest, opts) {
+  const cloned = opts.reflink && srcStat.isFile() ? cloneFile(src, dest, opts) : false
+  if (!cloned) fs.copyFileSync(src, dest)
+  if (opts.reflink) opts.result[cloned ? 'cloned' : 'copied'].push(dest)
+  if (opts.verify && srcStat.isFile()) verifyFileSync(src, dest, opts.verify)
+  if (opts.preserveTimestamps) handleTimestamps(srcStat.mode, src, dest)
+  // chown() clears the setuid and setgid bits, so it has to come before chmod()
+  if (opts.preserveOwnership) preserveOwnershipSync(srcStat, src, dest, opts.preserveOwnership)
+  setDestMode(dest, srcStat.mode)
+  if (opts.report) opts.result.report.bytesWritten += srcStat.size
+}
+
+function cloneFile (src, dest, opts) {
+  try {
+    fs.copyFileSync(src, dest, fs.constants.COPYFILE_FICLONE_FORCE)
+    return true
+  } catch (err) {
+    if (opts.reflink === 'always' || !isCloneUnsupported(err)) throw err
+    return false
+  }
+}
+
+function handleTimestamps (srcMode, src, dest) {
+  // Make sure the file is writable before setting the timestamp
+  // otherwise open fails with EPERM when invoked with 'r+'
+  // (through utimes call)
+  if (fileIsNotWritable(srcMode)) makeFileWritable(dest, srcMode)
+  return setDestTimestamps(src, dest)
+}
+
+function fileIsNotWritable (srcMode) {
+  return (srcMode & 0o200) === 0
+}
+
+function makeFileWritable (dest, srcMode) {
+  return setDestMode(dest, srcMode | 0o200)
+}
+
+function setDestMode (dest, srcMode) {
+  return fs.chmodSync(dest, srcMode)
+}
+
+function setDestTimestamps (src, dest) {
+  // The initial srcStat.atime cannot be trusted
+  // because it is modified by the read(2) system call
+  // (See https://nodejs.org/api/fs.html#fs_stat_time_values)
+  const updatedSrcStat = fs.statSync(src)
+  return utimesMillisSync(dest, updatedSrcStat.atime, updatedSrcStat.mtime)
+}
+
+function onDir (srcStat, destStat, src, dest, opts) {
+  if (!destStat) mkDirAndCopy(srcStat, src, dest, opts)
+  else copyDir(src, dest, opts)
+
+  // only now, as writing the children changes the times of the directory
+  if (opts.preserveTimestamps) setDirTimestamps(src, dest)
+}
+
+function setDirTimestamps (src, dest) {
+  // reading src has changed its atime, see setDestTimestamps()
+  const { atime, mtime } = fs.statSync(src)
+  fs.utimesSync(dest, atime, mtime)
+}
+
+function mkDirAndCopy (srcStat, src, dest, opts) {
+  fs.mkdirSync(dest)
+  copyDir(src, dest, opts)
+  if (opts.preserveOwnership) preserveOwnershipSync(srcStat, src, dest, opts.preserveOwnership)
+  return setDestMode(dest, srcStat.mode)
+}
+
+function copyDir (src, dest, opts) {
+  // the rules of ignore files in src apply to everything below it
+  if (opts.ignore) opts.ignore.loadSync(src)
+
+  const dir = fs.opendirSync(src)
+
+  try {
+    let dirent
+
+    while ((dirent = dir.readSync()) !== null) {
+      copyDirItem(dirent.name, src, dest, opts)
+    }
+  } finally {
+    dir.closeSync()
+  }
+}
+
+function isSelected (src, opts) {
+  const statSync = opts.dereference ? fs.statSync : fs.lstatSync
+  const isDirectory = statSync(src).isDirectory()
+  if (opts.globFilter && !opts.globFilter(src, isDirectory)) return false
+  return !(opts.ignore && opts.ignore.ignores(src, isDirectory))
+}
+
+function copyDirItem (item, src, dest, opts) {
+  const srcItem = path.join(src, item)
+  let destItem = path.join(dest, item)
+  if ((opts.globFilter || opts.ignore) && !isSelected(srcItem, opts)) return addToReport(opts, 'filtered', srcItem)
+  if (opts.filter && !opts.filter(srcItem, destItem)) return addToReport(opts, 'filtered', srcItem)
+  let { srcStat, destStat } = stat.checkPathsSync(srcItem, destItem, 'copy', opts)
+  if (isConflict(srcStat, destStat, opts)) {
+    destItem = resolveConflict(destStat, srcItem, destItem, opts)
+    if (!destItem) return
+    destStat = null
+  }
+  if (opts.hardLinks && srcStat.isFile() && srcStat.nlink > 1) {
+    return copyOrLinkFile(srcStat, destStat, srcItem, destItem, opts)
+  }
+  if (opts.dirKeys && srcStat.isDirectory()) {
+    const key = `${srcStat.dev}:${srcStat.ino}`
+    const chain = findCycle(srcItem, key, opts.dirKeys) || findLinkCycleSync(srcItem, opts.srcRealPath)
+    if (chain) {
+      if (opts.cycles !== 'symlink') throw cycleError(chain)
+      return copyCyclicLink(destStat, srcItem, destItem, opts)
+    }
+    opts.dirKeys.set(path.resolve(srcItem), key)
+  }
+  return getStats(destStat, srcItem, destItem, opts)
+}
+
+// With `cycles: 'symlink'`, the link closing a cycle is copied as it is
+// instead of being followed.
+function copyCyclicLink (destStat, src, dest, opts) {
+  if (destStat) return addToReport(opts, 'skipped', dest)
+  createLink(fs.lstatSync(src), fs.readlinkSync(src), src, dest, opts)
+}
+
+// The first name of a multiply linked file that is encountered gets copied,
+// every later one is hard linked to that copy. `inodeStat` is the bigint
+// stat from checkPathsSync(), as plain numbers can't hold every inode exactly.
+function copyOrLinkFile (inodeStat, destStat, src, dest, opts) {
+  const key = `${inodeStat.dev}:${inodeStat.ino}`
+  const target = opts.hardLinks.get(key)
+
+  if (!target) {
+    getStats(destStat, src, dest, opts)
+    // a destination that is skipped because it already exists must not
+    // become a link target, as it does not hold the contents of src
+    if (!destStat || opts.overwrite) opts.hardLinks.set(key, dest)
+    return
+  }
+
+  if (destStat) {
+    if (!opts.overwrite) {
+      if (opts.errorOnExist) throw new Error(`'${dest}' already exists`)
+      return addToReport(opts, 'skipped', dest)
+    }
+    fs.unlinkSync(dest)
+  }
+
+  fs.linkSync(target, dest)
+  addToReport(opts, destStat ? 'overwritten' : 'copied', dest)
+}
+
+function onLink (srcStat, destStat, src, dest, opts) {
+  if (opts.symlinks === 'skip') return addToReport(opts, 'filtered', src)
+
+  let resolvedSrc = fs.readlinkSync(src)
+  if (opts.dereference) {
+    resolvedSrc = path.resolve(process.cwd(), resolvedSrc)
+  } else if (opts.symlinks === 'rewrite') {
+    resolvedSrc = rewriteLink(resolvedSrc, src, dest, opts.linkRoots, opts)
+  }
+
+  if (!destStat) {
+    return createLink(srcStat, resolvedSrc, src, dest, opts)
+  } else {
+    let resolvedDest
+    try {
+      resolvedDest = fs.readlinkSync(dest)
+    } catch (err) {
+      // dest exists and is a regular file or directory,
+      // Windows may throw UNKNOWN error. If dest already exists,
+      // fs throws error anyway, so no need to guard against it here.
+      if (err.code === 'EINVAL' || err.code === 'UNKNOWN') return createLink(srcStat, resolvedSrc, src, dest, opts)
+      throw err
+    }
+    if (opts.dereference) {
+      resolvedDest = path.resolve(process.cwd(), resolvedDest)
+    }
+    if (stat.isSrcSubdir(resolvedSrc, resolvedDest)) {
+      throw new Error(`Cannot copy '${resolvedSrc}' to a subdirectory of itself, '${resolvedDest}'.`)
+    }
+
+    // prevent copy if src is a subdir of dest since unlinking
+    // dest in this case would result in removing src contents
+    // and therefore a broken symlink would be created.
+    if (stat.isSrcSubdir(resolvedDest, resolvedSrc)) {
+      throw new Error(`Cannot overwrite '${resolvedDest}' with '${resolvedSrc}'.`)
+    }
+    return copyLink(srcStat, resolvedSrc, src, dest, opts)
+  }
+}
+
+function copyLink (srcStat, resolvedSrc, src, dest, opts) {
+  fs.unlinkSync(dest)
+  return createLink(srcStat, resolvedSrc, src, dest, opts)
+}
+
+function createLink (srcStat, resolvedSrc, src, dest, opts) {
+  fs.symlinkSync(resolvedSrc, dest)
+  if (opts.preserveOwnership) preserveOwnershipSync(srcStat, src, dest, opts.preserveOwnership)
+  if (opts.preserveTimestamps) setLinkTimestamps(src, dest)
+  addToReport(opts, 'symlinks', dest)
+}
+
+// The times of the link itself, not of its target.
+function setLinkTimestamps (src, dest) {
+  const { atime, mtime } = fs.lstatSync(src)
+  fs.lutimesSync(dest, atime, mtime)
+}
+
+module.exports = copySync
@@ -4,16 +4,58 @@ const fs = require('../fs')
 const path = require('path')
 const { mkdirs } = require('../mkdirs')
 const { pathExists } = require('../path-exists')
+const { remove } = require('../remove')
+const copyMulti = require('./copy-multi')
 const { utimesMillis } = require('../util/utimes')
 const stat = require('../util/stat')
+const {
+  checkReflinkMode,
+  isCloneUnsupported,
+  checkSymlinksMode,
+  rewriteLink,
+  checkCyclesMode,
+  findCycle,
+  findLinkCycle,
+  cycleError,
+  checkConflictMode,
+  checkConflictDecision,
+  freeName,
+  unstageResult,
+  checkVerifyMode,
+  verifyFile,
+  isUpdateMode,
+  needsUpdate,
+  preserveOwnership,
+  createReport,
+  addToReport
+} = require('./utils')
+const { createLimiter } = require('../util/limit')
+const { createThrottle } = require('../util/throttle')
+const { aggregateError } = require('../util/aggregate-error')
+const { createGlobFilter } = require('../util/glob')
+const { createIgnoreFilter } = require('../util/ignore')
+const { CHUNKED_PROGRESS_THRESHOLD, createProgress, scanTree } = require('../util/progress')
+const { throwIfAborted } = require('../util/abort')
+const { RESUME_THRESHOLD, checkResumeThreshold, copyFileResumable } = require('./resume')
+const { perform, planMkdirs } = require('../util/dry-run')
+const { promisify } = require('util')
+const pipeline = promisify(require('stream').pipeline)
+
+const DEFAULT_CONCURRENCY = 32
 
 async function copy (src, dest, opts = {}) {
   if (typeof opts === 'function') {
     opts = { filter: opts }
+  } else {
+    // the options object also carries per-operation state (e.g. the limiter),
+    // so never mutate the caller's object
+    opts = { ...opts }
   }
 
   opts.clobber = 'clobber' in opts ? !!opts.clobber : true // default to true for now
-  opts.overwrite = 'overwrite' in opts ? !!opts.overwrite : opts.clobber // overwrite falls back to clobber
+  opts.overwrite = 'overwrite' in opts ? normalizeOverwrite(opts.overwrite) : opts.clobber // overwrite falls back to clobber
+
+  if (Array.isArray(dest)) return copyMulti(src, dest, opts)
 
   // Warn about using preserveTimestamps on 32-bit node
   if (opts.preserveTimestamps && process.arch === 'ia32') {
@@ -24,22 +66,182 @@ async function copy (src, dest, opts = {}) {
     )
   }
 
+  throwIfAborted(opts.signal)
+
+  // options that report back per-file outcomes add their lists to the
+  // result the copy resolves with; it stays undefined when none is set
+  if (opts.reflink) {
+    checkReflinkMode(opts.reflink)
+    opts.result = { ...opts.result, cloned: [], copied: [] }
+  }
+
+  if (opts.verify) checkVerifyMode(opts.verify)
+
+  if (opts.transform !== undefined && typeof opts.transform !== 'function') {
+    throw new TypeError(`Expected \`transform\` to be a function, got ${opts.transform}`)
+  }
+
+  if (opts.resume) {
+    if (opts.resumeThreshold === undefined) opts.resumeThreshold = RESUME_THRESHOLD
+    else checkResumeThreshold(opts.resumeThreshold)
+  }
+
+  if (opts.symlinks !== undefined) {
+    checkSymlinksMode(opts.symlinks)
+    opts.dereference = opts.symlinks === 'dereference'
+    if (opts.symlinks === 'rewrite') {
+      opts.result = { ...opts.result, rewritten: [], escaping: [] }
+    }
+  }
+
+  if (opts.cycles !== undefined) checkCyclesMode(opts.cycles)
+  if (opts.conflict !== undefined) checkConflictMode(opts.conflict)
+
+  opts.globFilter = createGlobFilter(src, opts)
+  if (opts.ignoreFiles) opts.ignore = createIgnoreFilter(src, opts.ignoreFiles)
+
+  if (isUpdateMode(opts.overwrite)) {
+    opts.result = { ...opts.result, updated: [], skipped: [] }
+  }
+
+  if (opts.report) {
+    opts.result = { ...opts.result, report: createReport() }
+  }
+
+  if (opts.preserveHardLinks) {
+    // inode ('dev:ino') => promise for the first destination written for it
+    opts.hardLinks = new Map()
+  }
+
+  // with continueOnError, failures are collected here instead
+  if (opts.continueOnError) opts.errors = []
+
+  // in a dry run, what would be done is recorded here instead
+  if (opts.dryRun) opts.plan = []
+
+  // cap the number of in-flight file operations across the whole tree
+  opts.limiter = createLimiter(opts.concurrency === undefined ? DEFAULT_CONCURRENCY : opts.concurrency)
+
+  // on top of that, maxBytesPerSecond and maxOpsPerSecond
+  opts.throttle = createThrottle(opts)
+
   const { srcStat, destStat } = await stat.checkPaths(src, dest, 'copy', opts)
 
   await stat.checkParentPaths(src, srcStat, dest, 'copy')
 
+  if (opts.dereference) {
+    // directory => 'dev:ino' it resolves to, to detect symlink cycles
+    opts.dirKeys = new Map([[path.resolve(src), `${srcStat.dev}:${srcStat.ino}`]])
+    opts.srcRealPath = await fs.realpath(src)
+  }
+
+  if (opts.symlinks === 'rewrite') {
+    opts.linkRoots = { src: [...new Set([path.resolve(src), await fs.realpath(src)])], dest: path.resolve(dest) }
+  }
+
   const include = await runFilter(src, dest, opts)
 
-  if (!include) return
+  if (!include) {
+    addToReport(opts, 'filtered', src)
+    return opts.plan || opts.result
+  }
+
+  if (opts.onProgress) {
+    opts.progress = createProgress(opts.onProgress)
+    if (opts.prescan) {
+      const { files, bytes } = await scanTree(src, dest, opts)
+      opts.progress.setTotals(files, bytes)
+    }
+  }
 
   // check if the parent of dest exists, and create it if it doesn't exist
   const destParent = path.dirname(dest)
   const dirExists = await pathExists(destParent)
   if (!dirExists) {
-    await mkdirs(destParent)
+    if (opts.plan) await planMkdirs(opts.plan, destParent)
+    else await mkdirs(destParent)
+  }
+
+  if (opts.atomic && !opts.plan) return copyAtomic(destStat, src, dest, opts)
+
+  await copyTree(destStat, src, dest, dest, opts)
+  return opts.plan || opts.result
+}
+
+// Copies src to `target`, which is dest itself or, with `atomic`, the
+// staging location standing in for it.
+async function copyTree (destStat, src, dest, target, opts) {
+  try {
+    await getStatsAndPerformCopy(destStat, src, target, opts)
+  } catch (err) {
+    if (!collectError(err, src, target, opts)) throw err
   }
 
-  await getStatsAndPerformCopy(destStat, src, dest, opts)
+  if (opts.errors && opts.errors.length > 0) {
+    throw aggregateError(opts.errors, `Failed to copy ${opts.errors.length} of the entries of '${src}' to '${dest}'`)
+  }
+}
+
+// With `atomic`, src is copied into a temporary directory next to dest,
+// which is only renamed into place once everything has been copied. An
+// existing dest is moved aside into the same temporary directory first, and
+// put back if the final rename fails. The temporary directory is removed
+// whatever happens, unless putting dest back failed too: the original dest
+// is then still inside of it.
+async function copyAtomic (destStat, src, dest, opts) {
+  if (destStat && !opts.overwrite) {
+    if (opts.errorOnExist) throw new Error(`'${dest}' already exists`)
+    return opts.result
+  }
+
+  const stagingDir = await fs.mkdtemp(path.join(path.dirname(dest), `.${path.basename(dest)}-`))
+  const staged = path.join(stagingDir, 'new')
+  const backup = path.join(stagingDir, 'old')
+  let keepStagingDir = false
+
+  try {
+    await copyTree(null, src, dest, staged, opts)
+    if (destStat) await fs.rename(dest, backup)
+    try {
+      await fs.rename(staged, dest)
+    } catch (err) {
+      if (destStat) {
+        // should putting dest back fail too, the staging directory still
+        // holds it, and the caller still learns why the copy failed
+        try {
+          await fs.rename(backup, dest)
+        } catch (restoreError) {
+          keepStagingDir = true
+          err.restoreError = restoreError
+        }
+      }
+      throw err
+    }
+  } finally {
+    if (!keepStagingDir) await remove(stagingDir)
+  }
+
+  unstageResult(opts.result, staged, dest)
+  return opts.result
+}
+
+// Keeps `err` for the AggregateError of continueOnError, tagged with the
+// paths of the entry that failed. Returns false if the copy has to stop
+// instead, i.e. without continueOnError or when it was aborted.
+function collectError (err, src, dest, opts) {
+  if (!opts.errors || err.name === 'AbortError') return false
+  // links waiting for the same failed copy (see copyOrLinkFile()) all get
+  // its error
+  if (!opts.errors.includes(err)) {
+    if (err.src === undefined) err.src = src
+    if (err.dest === undefined) err.dest = dest
+    opts.errors.push(err)
+  }
+  return true
+}
+
+function normalizeOverwrite (overwrite) {
+  return isUpdateMode(overwrite) ? overwrite : !!overwrite
 }
 
 async function runFilter (src, dest, opts) {
@@ -48,8 +250,54 @@ async function runFilter (src, dest, opts) {
 }
 
 async function getStatsAndPerformCopy (destStat, src, dest, opts) {
+  const srcStat = await getSrcStat(src, opts)
+  if (isConflict(srcStat, destStat, opts)) {
+    dest = await resolveConflict(srcStat, destStat, src, dest, opts)
+    if (!dest) return
+    destStat = null
+  }
+  return performCopy(srcStat, destStat, src, dest, opts)
+}
+
+// An existing dest is a conflict for the `conflict` option, unless both are
+// directories, whose contents are merged.
+function isConflict (srcStat, destStat, opts) {
+  return opts.conflict && destStat && !(srcStat.isDirectory() && destStat.isDirectory())
+}
+
+// Resolves with where src is to be copied to now that dest is out of the
+// way, or null to skip it.
+async function resolveConflict (srcStat, destStat, src, dest, opts) {
+  let decision = opts.conflict
+  if (typeof decision === 'function') {
+    decision = checkConflictDecision(await decision(src, dest, srcStat, await getSrcStat(dest, opts)))
+  }
+
+  if (decision === 'skip') {
+    addToReport(opts, 'skipped', dest)
+    return null
+  }
+  if (decision === 'error') throw new Error(`'${dest}' already exists`)
+  if (decision === 'rename') return freeName(src, dest)
+
+  if (!destStat.isDirectory()) {
+    await perform(opts.plan, { op: 'unlink', path: dest }, () => fs.unlink(dest))
+  } else if (opts.plan) {
+    opts.plan.push(...await remove(dest, { dryRun: true }))
+  } else {
+    await remove(dest)
+  }
+  return dest
+}
+
+function getSrcStat (src, opts) {
   const statFn = opts.dereference ? fs.stat : fs.lstat
-  const srcStat = await statFn(src)
+  return statFn(src)
+}
+
+async function performCopy (srcStat, destStat, src, dest, opts) {
+  // every entry counts as one operation for maxOpsPerSecond
+  if (opts.throttle && !opts.plan) await opts.throttle.op()
 
   if (srcStat.isDirectory()) return onDir(srcStat, destStat, src, dest, opts)
 
@@ -59,26 +307,84 @@ async function getStatsAndPerformCopy (destStat, src, dest, opts) {
     srcStat.isBlockDevice()
   ) return onFile(srcStat, destStat, src, dest, opts)
 
-  if (srcStat.isSymbolicLink()) return onLink(destStat, src, dest, opts)
+  if (srcStat.isSymbolicLink()) return onLink(srcStat, destStat, src, dest, opts)
   if (srcStat.isSocket()) throw new Error(`Cannot copy a socket file: ${src}`)
   if (srcStat.isFIFO()) throw new Error(`Cannot copy a FIFO pipe: ${src}`)
   throw new Error(`Unknown file: ${src}`)
 }
 
 async function onFile (srcStat, destStat, src, dest, opts) {
-  if (!destStat) return copyFile(srcStat, src, dest, opts)
+  const updateMode = isUpdateMode(opts.overwrite)
+  if (!destStat) {
+    if (updateMode) opts.result.updated.push(dest)
+    await copyFile(srcStat, src, dest, opts)
+    return addToReport(opts, 'copied', dest)
+  }
+
+  if (updateMode) {
+    if (!(await needsUpdate(srcStat, destStat, src, dest, opts))) {
+      opts.result.skipped.push(dest)
+      return fileSkipped(srcStat, src, dest, opts)
+    }
+    opts.result.updated.push(dest)
+  }
 
   if (opts.overwrite) {
-    await fs.unlink(dest)
-    return copyFile(srcStat, src, dest, opts)
+    await perform(opts.plan, { op: 'unlink', path: dest }, () => fs.unlink(dest))
+    await copyFile(srcStat, src, dest, opts)
+    return addToReport(opts, 'overwritten', dest)
   }
   if (opts.errorOnExist) {
     throw new Error(`'${dest}' already exists`)
   }
+  fileSkipped(srcStat, src, dest, opts)
+}
+
+// skipped files still count towards progress, so that it adds up to the
+// totals found by the prescan
+function fileSkipped (srcStat, src, dest, opts) {
+  addToReport(opts, 'skipped', dest)
+  if (opts.progress) opts.progress.fileDone(src, dest, srcStat.size)
 }
 
 async function copyFile (srcStat, src, dest, opts) {
-  await fs.copyFile(src, dest)
+  if (opts.plan) return planCopyFile(srcStat, src, dest, opts)
+
+  const transform = await getTransform(srcStat, src, dest, opts)
+  if (transform) {
+    await transformFile(transform, src, dest, opts)
+    return fileWritten(srcStat, src, dest, opts, { bytes: (await fs.stat(dest)).size })
+  }
+
+  const cloned = opts.reflink && srcStat.isFile() ? await cloneFile(src, dest, opts) : false
+  const resumable = !cloned && opts.resume && srcStat.isFile() && srcStat.size >= opts.resumeThreshold
+  // files are streamed, rather than copied in one go, to report progress
+  // while they are written or to pass them through the throttle
+  const chunked = !cloned && !resumable && srcStat.isFile() &&
+    ((opts.progress && srcStat.size >= CHUNKED_PROGRESS_THRESHOLD) || (opts.throttle && opts.throttle.limitsBytes))
+  if (resumable) {
+    await copyFileResumable(srcStat, src, dest, opts)
+  } else if (chunked) {
+    await copyFileInChunks(src, dest, opts)
+  } else if (!cloned) {
+    await fs.copyFile(src, dest)
+  }
+
+  if (opts.reflink) {
+    opts.result[cloned ? 'cloned' : 'copied'].push(dest)
+  }
+
+  if (opts.verify && srcStat.isFile()) {
+    await verifyFile(src, dest, opts.verify)
+  }
+
+  // chunked and resumable copies have already accounted for their bytes
+  return fileWritten(srcStat, src, dest, opts, { progressReported: chunked || resumable })
+}
+
+// Applies mode, timestamps and ownership to the file just written to dest,
+// `bytes` long.
+async function fileWritten (srcStat, src, dest, opts, { bytes = srcStat.size, progressReported = false } = {}) {
   if (opts.preserveTimestamps) {
     // Make sure the file is writable before setting the timestamp
     // otherwise open fails with EPERM when invoked with 'r+'
@@ -96,7 +402,109 @@ async function copyFile (srcStat, src, dest, opts) {
     await utimesMillis(dest, updatedSrcStat.atime, updatedSrcStat.mtime)
   }
 
-  return fs.chmod(dest, srcStat.mode)
+  // chown() clears the setuid and setgid bits, so it has to come before chmod()
+  if (opts.preserveOwnership) {
+    await preserveOwnership(srcStat, src, dest, opts.preserveOwnership)
+  }
+
+  await fs.chmod(dest, srcStat.mode)
+
+  if (opts.report) opts.result.report.bytesWritten += bytes
+
+  if (opts.progress) {
+    // progress goes by the size of src, which is what the prescan counted
+    opts.progress.fileDone(src, dest, progressReported ? 0 : srcStat.size)
+  }
+}
+
+// The transform stream or function the `transform` option returns for src,
+// or null when the file is to be copied as it is.
+async function getTransform (srcStat, src, dest, opts) {
+  if (!opts.transform || !srcStat.isFile()) return null
+
+  const transform = await opts.transform(src, dest, srcStat)
+  if (transform === undefined || transform === null || transform === false) return null
+  if (typeof transform !== 'function' && !(transform && typeof transform.pipe === 'function')) {
+    throw new TypeError(`Expected \`transform\` to return a stream, a function or nothing for '${src}', got ${transform}`)
+  }
+  return transform
+}
+
+// Writes the contents of src, passed through `transform`, to dest: a stream
+// is piped, a function is called with the contents as a Buffer and returns
+// (or resolves with) the new contents as a Buffer or a string.
+// The transformed contents go through maxBytesPerSecond like any other
+// file.
+async function transformFile (transform, src, dest, opts) {
+  try {
+    if (typeof transform === 'function') {
+      const contents = await transform(await fs.readFile(src))
+      if (opts.throttle) await opts.throttle.bytes(Buffer.byteLength(contents))
+      await fs.writeFile(dest, contents)
+    } else {
+      await pipeline(
+        fs.createReadStream(src),
+        transform,
+        async function * (source) {
+          for await (const chunk of source) {
+            if (opts.throttle) await opts.throttle.bytes(chunk.length)
+            yield chunk
+          }
+        },
+        fs.createWriteStream(dest)
+      )
+    }
+  } catch (err) {
+    // never leave a partially written file behind
+    await fs.unlink(dest).catch(() => {})
+    throw err
+  }
+}
+
+function planCopyFile (srcStat, src, dest, opts) {
+  opts.plan.push({ op: 'copyFile', src, dest })
+  if (opts.preserveTimestamps) opts.plan.push({ op: 'utimes', path: dest })
+  if (opts.preserveOwnership) opts.plan.push(chownEntry(srcStat, dest))
+  opts.plan.push({ op: 'chmod', path: dest, mode: srcStat.mode })
+  if (opts.progress) opts.progress.fileDone(src, dest, srcStat.size)
+}
+
+function chownEntry (srcStat, dest) {
+  return { op: 'chown', path: dest, uid: srcStat.uid, gid: srcStat.gid }
+}
+
+// Try to clone `src` into `dest` (copy-on-write). Resolves with whether the
+// file was cloned; in 'auto' mode, a file system that can't clone is not an
+// error and the caller falls back to a regular copy.
+async function cloneFile (src, dest, opts) {
+  try {
+    await fs.copyFile(src, dest, fs.constants.COPYFILE_FICLONE_FORCE)
+    return true
+  } catch (err) {
+    if (opts.reflink === 'always' || !isCloneUnsupported(err)) throw err
+    return false
+  }
+}
+
+async function copyFileInChunks (src, dest, opts) {
+  try {
+    await pipeline(
+      fs.createReadStream(src),
+      async function * (source) {
+        for await (const chunk of source) {
+          throwIfAborted(opts.signal)
+          if (opts.throttle) await opts.throttle.bytes(chunk.length)
+          if (opts.progress) opts.progress.chunkDone(src, dest, chunk.length)
+          yield chunk
+        }
+      },
+      fs.createWriteStream(dest)
+    )
+  } catch (err) {
+    // never leave a partially written file behind
+    await fs.unlink(dest).catch(() => {})
+    throw err
+  }
 }
 
 function fileIsNotWritable (srcMode) {
@@ -110,44 +518,174 @@ function makeFileWritable (dest, srcMode) {
 async function onDir (srcStat, destStat, src, dest, opts) {
   // the dest directory might not exist, create it
   if (!destStat) {
-    await fs.mkdir(dest)
+    await perform(opts.plan, { op: 'mkdir', path: dest }, () => fs.mkdir(dest))
   }
 
+  // the rules of ignore files in src apply to everything below it
+  if (opts.ignore) await opts.ignore.load(src)
+
   const promises = []
+  let error = null
 
   // loop through the files in the current directory to copy everything
   for await (const item of await fs.opendir(src)) {
+    // stop scheduling new entries once one of them has failed (for good)
+    if (error) break
+
     const srcItem = path.join(src, item.name)
     const destItem = path.join(dest, item.name)
 
+    // wait for a free slot before scheduling the entry, so the number of
+    // pending operations stays bounded no matter how large the tree is
+    await opts.limiter.acquire()
     promises.push(
-      runFilter(srcItem, destItem, opts).then(include => {
-        if (include) {
-          // only copy the item if it matches the filter function
-          return stat.checkPaths(srcItem, destItem, 'copy', opts).then(({ destStat }) => {
-            // If the item is a copyable file, `getStatsAndPerformCopy` will copy it
-            // If the item is a directory, `getStatsAndPerformCopy` will call `onDir` recursively
-            return getStatsAndPerformCopy(destStat, srcItem, destItem, opts)
-          })
-        }
+      copyDirItem(srcItem, destItem, opts).catch(err => {
+        if (!collectError(err, srcItem, destItem, opts) && !error) error = err
       })
     )
   }
 
   await Promise.all(promises)
+  if (error) throw error
 
   if (!destStat) {
-    await fs.chmod(dest, srcStat.mode)
+    if (opts.preserveOwnership) {
+      await perform(opts.plan, chownEntry(srcStat, dest), () => preserveOwnership(srcStat, src, dest, opts.preserveOwnership))
+    }
+    await perform(opts.plan, { op: 'chmod', path: dest, mode: srcStat.mode }, () => fs.chmod(dest, srcStat.mode))
   }
+
+  // only now, as writing the children changes the times of the directory
+  if (opts.preserveTimestamps) {
+    await perform(opts.plan, { op: 'utimes', path: dest }, () => setDirTimestamps(src, dest))
+  }
+}
+
+async function setDirTimestamps (src, dest) {
+  // reading src has changed its atime, so it is stat'ed again (see
+  // fileWritten())
+  const { atime, mtime } = await fs.stat(src)
+  await fs.utimes(dest, atime, mtime)
+}
+
+// Copies a single directory entry. The caller must have acquired a limiter
+// slot, which is held while the entry itself is processed. Directories give
+// it back before recursing, as holding it while waiting for the children
+// would deadlock trees deeper than the concurrency limit.
+async function copyDirItem (srcItem, destItem, opts) {
+  let srcStat, destStat
+  try {
+    throwIfAborted(opts.signal)
+
+    // entries left out by include/exclude/maxDepth or by ignore files are
+    // skipped before the filter runs, and directories among them are never
+    // opened
+    if (opts.globFilter || opts.ignore) {
+      srcStat = await getSrcStat(srcItem, opts)
+      if (!isSelected(srcItem, srcStat, opts)) return addToReport(opts, 'filtered', srcItem)
+    }
+
+    // only copy the item if it matches the filter function
+    const include = await runFilter(srcItem, destItem, opts)
+    if (!include) return addToReport(opts, 'filtered', srcItem)
+
+    let inodeStat
+    ;({ srcStat: inodeStat, destStat } = await stat.checkPaths(srcItem, destItem, 'copy', opts))
+    if (!srcStat) srcStat = await getSrcStat(srcItem, opts)
+    if (isConflict(srcStat, destStat, opts)) {
+      destItem = await resolveConflict(srcStat, destStat, srcItem, destItem, opts)
+      if (!destItem) return
+      destStat = null
+    }
+    if (opts.hardLinks && srcStat.isFile() && srcStat.nlink > 1) {
+      return await copyOrLinkFile(inodeStat, srcStat, destStat, srcItem, destItem, opts)
+    }
+    if (!srcStat.isDirectory()) {
+      return await performCopy(srcStat, destStat, srcItem, destItem, opts)
+    }
+    // as in performCopy(), which directories skip to release the limiter
+    // before copying their contents
+    if (opts.throttle && !opts.plan) await opts.throttle.op()
+    if (opts.dirKeys) {
+      const key = `${inodeStat.dev}:${inodeStat.ino}`
+      const chain = findCycle(srcItem, key, opts.dirKeys) || await findLinkCycle(srcItem, opts.srcRealPath)
+      if (chain) {
+        if (opts.cycles !== 'symlink') throw cycleError(chain)
+        return await copyCyclicLink(destStat, srcItem, destItem, opts)
+      }
+      opts.dirKeys.set(path.resolve(srcItem), key)
+    }
+  } finally {
+    opts.limiter.release()
+  }
+
+  return onDir(srcStat, destStat, srcItem, destItem, opts)
 }
 
-async function onLink (destStat, src, dest, opts) {
+// With `cycles: 'symlink'`, the link closing a cycle is copied as it is
+// instead of being followed.
+async function copyCyclicLink (destStat, src, dest, opts) {
+  if (destStat) return addToReport(opts, 'skipped', dest)
+  const target = await fs.readlink(src)
+  await createLink(target, dest, opts)
+  return linkDone(await fs.lstat(src), src, dest, opts)
+}
+
+function isSelected (src, srcStat, opts) {
+  const isDirectory = srcStat.isDirectory()
+  if (opts.globFilter && !opts.globFilter(src, isDirectory)) return false
+  return !(opts.ignore && opts.ignore.ignores(src, isDirectory))
+}
+
+// The first name of a multiply linked file that is encountered gets copied,
+// every later one is hard linked to that copy. `inodeStat` is the bigint
+// stat from checkPaths(), as plain numbers can't hold every inode exactly.
+async function copyOrLinkFile (inodeStat, srcStat, destStat, src, dest, opts) {
+  const key = `${inodeStat.dev}:${inodeStat.ino}`
+  const first = opts.hardLinks.get(key)
+
+  if (!first) {
+    // a destination that is skipped because it already exists must not
+    // become a link target, as it does not hold the contents of src
+    const willCopy = !destStat || opts.overwrite
+    const copied = onFile(srcStat, destStat, src, dest, opts).then(() => willCopy ? dest : null)
+    opts.hardLinks.set(key, copied)
+    await copied
+    return
+  }
+
+  const target = await first
+  if (!target) return onFile(srcStat, destStat, src, dest, opts)
+
+  if (destStat) {
+    if (!opts.overwrite) {
+      if (opts.errorOnExist) throw new Error(`'${dest}' already exists`)
+      return addToReport(opts, 'skipped', dest)
+    }
+    await perform(opts.plan, { op: 'unlink', path: dest }, () => fs.unlink(dest))
+  }
+
+  await perform(opts.plan, { op: 'link', src: target, dest }, () => fs.link(target, dest))
+  addToReport(opts, destStat ? 'overwritten' : 'copied', dest)
+  if (opts.progress) opts.progress.fileDone(src, dest, 0)
+}
+
+async function onLink (srcStat, destStat, src, dest, opts) {
+  if (opts.symlinks === 'skip') {
+    addToReport(opts, 'filtered', src)
+    if (opts.progress) opts.progress.fileDone(src, dest, 0)
+    return
+  }
+
   let resolvedSrc = await fs.readlink(src)
   if (opts.dereference) {
     resolvedSrc = path.resolve(process.cwd(), resolvedSrc)
+  } else if (opts.symlinks === 'rewrite') {
+    resolvedSrc = rewriteLink(resolvedSrc, src, dest, opts.linkRoots, opts)
   }
   if (!destStat) {
-    return fs.symlink(resolvedSrc, dest)
+    await createLink(resolvedSrc, dest, opts)
+    return linkDone(srcStat, src, dest, opts)
   }
 
   let resolvedDest = null
@@ -157,7 +695,10 @@ async function onLink (destStat, src, dest, opts) {
     // dest exists and is a regular file or directory,
     // Windows may throw UNKNOWN error. If dest already exists,
     // fs throws error anyway, so no need to guard against it here.
-    if (e.code === 'EINVAL' || e.code === 'UNKNOWN') return fs.symlink(resolvedSrc, dest)
+    if (e.code === 'EINVAL' || e.code === 'UNKNOWN') {
+      await createLink(resolvedSrc, dest, opts)
+      return linkDone(srcStat, src, dest, opts)
+    }
     throw e
   }
   if (opts.dereference) {
@@ -175,8 +716,30 @@ async function onLink (destStat, src, dest, opts) {
   }
 
   // copy the link
-  await fs.unlink(dest)
-  return fs.symlink(resolvedSrc, dest)
+  await perform(opts.plan, { op: 'unlink', path: dest }, () => fs.unlink(dest))
+  await createLink(resolvedSrc, dest, opts)
+  return linkDone(srcStat, src, dest, opts)
+}
+
+function createLink (resolvedSrc, dest, opts) {
+  return perform(opts.plan, { op: 'symlink', src: resolvedSrc, dest }, () => fs.symlink(resolvedSrc, dest))
+}
+
+async function linkDone (srcStat, src, dest, opts) {
+  addToReport(opts, 'symlinks', dest)
+  if (opts.preserveOwnership) {
+    await perform(opts.plan, chownEntry(srcStat, dest), () => preserveOwnership(srcStat, src, dest, opts.preserveOwnership))
+  }
+  if (opts.preserveTimestamps) {
+    await perform(opts.plan, { op: 'utimes', path: dest }, () => setLinkTimestamps(src, dest))
+  }
+  if (opts.progress) opts.progress.fileDone(src, dest, 0)
+}
+
+// The times of the link itself, not of its target.
+async function setLinkTimestamps (src, dest) {
+  const { atime, mtime } = await fs.lstat(src)
+  await fs.lutimes(dest, atime, mtime)
 }
 
 module.exports = copy
@@ -0,0 +1,137 @@
+'use strict'
+
+const fs = require('../fs')
+const crypto = require('crypto')
+const { throwIfAborted } = require('../util/abort')
+
+// Files at least this large are copied resumably with `resume`, unless
+// `resumeThreshold` says otherwise.
+const RESUME_THRESHOLD = 64 * 1024 * 1024
+
+// Size of the chunks of a resumable copy. A checkpoint is written after
+// each of them, so at most one chunk is copied again after a crash.
+const RESUME_CHUNK_SIZE = 8 * 1024 * 1024
+
+function checkResumeThreshold (threshold) {
+  if (!(Number.isInteger(threshold) && threshold >= 0)) {
+    throw new TypeError(`Expected \`resumeThreshold\` to be a non-negative integer, got ${threshold}`)
+  }
+}
+
+// Copies `src` to `dest` chunk by chunk, through `<dest>.partial` and the
+// checkpoint `<dest>.partial.checkpoint`, which records the size and
+// modification time of src, how many bytes have been written and the
+// SHA-256 of these bytes. A later copy of the same file picks up from the
+// checkpoint if src hasn't changed and the partial file still starts with
+// the bytes recorded, and starts over otherwise. Once complete, the partial
+// file is renamed to dest and the checkpoint removed.
+//
+// Unlike other copies, a failed or aborted one leaves the partial file and
+// its checkpoint behind, as they are what the next attempt resumes from.
+async function copyFileResumable (srcStat, src, dest, opts) {
+  const partial = `${dest}.partial`
+  const checkpoint = `${partial}.checkpoint`
+  const { offset, hash } = await resumePoint(srcStat, partial, checkpoint)
+
+  if (offset > 0 && opts.progress) opts.progress.chunkDone(src, dest, offset)
+
+  const source = await fs.promises.open(src, 'r')
+  try {
+    const target = await fs.promises.open(partial, offset > 0 ? 'r+' : 'w')
+    try {
+      await target.truncate(offset)
+      await copyChunks(source, target, offset, hash, srcStat, src, dest, checkpoint, opts)
+    } finally {
+      await target.close()
+    }
+  } finally {
+    await source.close()
+  }
+
+  await fs.rename(partial, dest)
+  await fs.unlink(checkpoint)
+}
+
+async function copyChunks (source, target, offset, hash, srcStat, src, dest, checkpoint, opts) {
+  const buffer = Buffer.alloc(RESUME_CHUNK_SIZE)
+
+  while (true) {
+    throwIfAborted(opts.signal)
+
+    const { bytesRead } = await source.read(buffer, 0, buffer.length, offset)
+    if (bytesRead === 0) break
+    if (opts.throttle) await opts.throttle.bytes(bytesRead)
+
+    const chunk = buffer.subarray(0, bytesRead)
+    await target.write(chunk, 0, bytesRead, offset)
+    // the bytes have to be on disk before the checkpoint claims they are
+    await target.datasync()
+    offset += bytesRead
+    hash.update(chunk)
+    await writeCheckpoint(checkpoint, srcStat, offset, hash)
+
+    if (opts.progress) opts.progress.chunkDone(src, dest, bytesRead)
+  }
+}
+
+function writeCheckpoint (checkpoint, srcStat, offset, hash) {
+  const data = {
+    size: srcStat.size,
+    mtimeMs: srcStat.mtimeMs,
+    offset,
+    sha256: hash.copy().digest('hex')
+  }
+  return fs.writeFile(checkpoint, JSON.stringify(data))
+}
+
+// Resolves with the offset to continue from and the hash of the bytes
+// before it, or offset 0 when there's nothing (valid) to resume.
+async function resumePoint (srcStat, partial, checkpoint) {
+  const start = { offset: 0, hash: crypto.createHash('sha256') }
+
+  let data
+  try {
+    data = JSON.parse(await fs.readFile(checkpoint, 'utf8'))
+  } catch {
+    // missing, or cut short by a crash while it was being written
+    return start
+  }
+
+  if (data.size !== srcStat.size || data.mtimeMs !== srcStat.mtimeMs) return start
+  if (!Number.isInteger(data.offset) || data.offset <= 0 || data.offset > srcStat.size) return start
+
+  const hash = await hashPrefix(partial, data.offset)
+  if (!hash || hash.copy().digest('hex') !== data.sha256) return start
+
+  return { offset: data.offset, hash }
+}
+
+// Hash of the first `length` bytes of `file`, or null if it is shorter.
+async function hashPrefix (file, length) {
+  const hash = crypto.createHash('sha256')
+  let handle
+  try {
+    handle = await fs.promises.open(file, 'r')
+  } catch {
+    return null
+  }
+
+  try {
+    const buffer = Buffer.alloc(Math.min(RESUME_CHUNK_SIZE, length))
+    for (let position = 0; position < length;) {
+      const { bytesRead } = await handle.read(buffer, 0, Math.min(buffer.length, length - position), position)
+      if (bytesRead === 0) return null
+      hash.update(buffer.subarray(0, bytesRead))
+      position += bytesRead
+    }
+    return hash
+  } finally {
+    await handle.close()
+  }
+}
+
+module.exports = {
+  RESUME_THRESHOLD,
+  checkResumeThreshold,
+  copyFileResumable
+}
@@ -0,0 +1,343 @@
+'use strict'
+
+// graceful-fs silently ignores EPERM from chown() for non-root users, which
+// is exactly the error preserveOwnership has to surface, so the native
+// methods are used for it instead.
+const nativeFs = require('fs')
+const crypto = require('crypto')
+const path = require('path')
+const fs = require('../fs')
+const { hashFile, hashFileSync } = require('../util/hash')
+
+const REFLINK_MODES = ['auto', 'always']
+const UPDATE_MODES = ['ifNewer', 'ifDifferent']
+const SYMLINK_MODES = ['preserve', 'dereference', 'skip', 'rewrite']
+
+// Errors the kernel reports when the file system (or the pair of file
+// systems) can't clone files. Anything else is a genuine copy failure.
+const CLONE_UNSUPPORTED_CODES = ['ENOTSUP', 'EOPNOTSUPP', 'ENOSYS', 'ENOTTY', 'EXDEV', 'EINVAL']
+
+function checkReflinkMode (reflink) {
+  if (!REFLINK_MODES.includes(reflink)) {
+    throw new TypeError(`Expected \`reflink\` to be one of 'auto', 'always' or false, got ${reflink}`)
+  }
+}
+
+function isCloneUnsupported (err) {
+  return CLONE_UNSUPPORTED_CODES.includes(err.code)
+}
+
+function checkSymlinksMode (symlinks) {
+  if (!SYMLINK_MODES.includes(symlinks)) {
+    throw new TypeError(`Expected \`symlinks\` to be one of 'preserve', 'dereference', 'skip' or 'rewrite', got ${symlinks}`)
+  }
+}
+
+function isInside (dir, file) {
+  const relative = path.relative(dir, file)
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative))
+}
+
+// Target for the copy `dest` of the link `src` in 'rewrite' mode. Absolute
+// targets inside one of `roots.src` (the copied tree, as given and with
+// symlinks resolved) are moved to the same place under `roots.dest`.
+// Relative targets are kept, but those escaping the copied tree are listed
+// in `opts.result.escaping`.
+function rewriteLink (target, src, dest, roots, opts) {
+  if (path.isAbsolute(target)) {
+    const root = roots.src.find(root => isInside(root, target))
+    if (root === undefined) return target
+    opts.result.rewritten.push(dest)
+    return path.join(roots.dest, path.relative(root, target))
+  }
+
+  if (!roots.src.some(root => isInside(root, path.resolve(path.dirname(src), target)))) {
+    opts.result.escaping.push(dest)
+  }
+  return target
+}
+
+const CYCLE_MODES = ['error', 'symlink']
+const CONFLICT_MODES = ['overwrite', 'skip', 'error', 'rename']
+
+// `conflict` is one of CONFLICT_MODES, or a function returning one of them
+// for each clash.
+function checkConflictMode (conflict) {
+  if (typeof conflict !== 'function' && !CONFLICT_MODES.includes(conflict)) {
+    throw new TypeError(`Expected \`conflict\` to be one of 'overwrite', 'skip', 'error', 'rename' or a function, got ${conflict}`)
+  }
+}
+
+function checkConflictDecision (decision) {
+  if (!CONFLICT_MODES.includes(decision)) {
+    throw new TypeError(`Expected the \`conflict\` function to return 'overwrite', 'skip', 'error' or 'rename', got ${decision}`)
+  }
+  return decision
+}
+
+// Candidate names for 'rename': 'name (1).ext', 'name (2).ext' and so on.
+// A name is only free if neither dest nor src has an entry with it, as the
+// one in src is about to be copied there too.
+function * renameCandidates (src, dest) {
+  const { dir, name, ext } = path.parse(dest)
+  for (let i = 1; ; i++) {
+    const base = `${name} (${i})${ext}`
+    yield [path.join(path.dirname(src), base), path.join(dir, base)]
+  }
+}
+
+async function freeName (src, dest) {
+  for (const candidates of renameCandidates(src, dest)) {
+    const taken = await Promise.all(candidates.map(isTaken))
+    if (!taken.includes(true)) return candidates[1]
+  }
+}
+
+function isTaken (file) {
+  return fs.lstat(file).then(() => true, () => false)
+}
+
+function freeNameSync (src, dest) {
+  for (const candidates of renameCandidates(src, dest)) {
+    if (!candidates.some(isTakenSync)) return candidates[1]
+  }
+}
+
+function isTakenSync (file) {
+  try {
+    fs.lstatSync(file)
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Where `file`, inside the staging location `staged` of `dest`, ends up once
+// it is renamed into place.
+function unstagePath (file, staged, dest) {
+  return isInside(staged, file) ? path.join(dest, path.relative(staged, file)) : file
+}
+
+// Errors raised while copying into `staged` mention dest instead.
+function unstageError (err, staged, dest) {
+  if (typeof err.dest === 'string') err.dest = unstagePath(err.dest, staged, dest)
+  if (typeof err.message === 'string') err.message = err.message.split(staged).join(dest)
+}
+
+// Paths recorded in `result` while copying into the staging location of
+// `atomic` are changed to where they ended up. Source paths are left alone.
+function unstageResult (result, staged, dest) {
+  if (!result) return
+  for (const [key, value] of Object.entries(result)) {
+    if (Array.isArray(value)) {
+      result[key] = value.map(file => unstagePath(file, staged, dest))
+    } else if (typeof value === 'object') {
+      unstageResult(value, staged, dest)
+    }
+  }
+}
+
+function checkCyclesMode (cycles) {
+  if (!CYCLE_MODES.includes(cycles)) {
+    throw new TypeError(`Expected \`cycles\` to be 'error' or 'symlink', got ${cycles}`)
+  }
+}
+
+// With dereference, a symlink to one of its own ancestors would be copied
+// over and over again. `dirKeys` maps every directory of src being copied
+// (as an absolute path) to the 'dev:ino' of what it resolves to; if one of the ancestors of `file`
+// resolves to `key` too, the chain of directories from that ancestor down
+// to `file` is returned.
+function findCycle (file, key, dirKeys) {
+  const chain = [path.resolve(file)]
+  for (let dir = path.dirname(chain[0]); dirKeys.has(dir); dir = path.dirname(dir)) {
+    chain.unshift(dir)
+    if (dirKeys.get(dir) === key) return chain
+  }
+  return null
+}
+
+function cycleError (chain) {
+  const file = chain[chain.length - 1]
+  const error = new Error(`ELOOP: symlink cycle detected while copying '${file}': ${chain.join(' -> ')}`)
+  error.code = 'ELOOP'
+  error.path = file
+  error.chain = chain
+  return error
+}
+
+// A symlink to a directory that contains src, outside of it, loops back to
+// src as well. findCycle() would only notice one level further, at an entry
+// that isn't a link itself, so the link is checked for this on its own: the
+// chain is then the directory it resolves to and the link.
+async function findLinkCycle (file, srcRealPath) {
+  if (!(await fs.lstat(file)).isSymbolicLink()) return null
+  const target = await fs.realpath(file)
+  return isInside(target, srcRealPath) ? [target, path.resolve(file)] : null
+}
+
+function findLinkCycleSync (file, srcRealPath) {
+  if (!fs.lstatSync(file).isSymbolicLink()) return null
+  const target = fs.realpathSync(file)
+  return isInside(target, srcRealPath) ? [target, path.resolve(file)] : null
+}
+
+function checkVerifyMode (verify) {
+  if (verify !== 'size' && !crypto.getHashes().includes(verify)) {
+    throw new TypeError(`Expected \`verify\` to be 'size' or a hash algorithm supported by crypto, got ${verify}`)
+  }
+}
+
+// Compare a copied file with its source, either by size or by hashing both
+// with the `verify` algorithm.
+async function verifyFile (src, dest, verify) {
+  const [expected, actual] = verify === 'size'
+    ? (await Promise.all([fs.stat(src), fs.stat(dest)])).map(stats => stats.size)
+    : await Promise.all([hashFile(src, verify), hashFile(dest, verify)])
+  if (expected !== actual) throw verifyError(src, dest, verify, expected, actual)
+}
+
+function verifyFileSync (src, dest, verify) {
+  const [expected, actual] = verify === 'size'
+    ? [fs.statSync(src).size, fs.statSync(dest).size]
+    : [hashFileSync(src, verify), hashFileSync(dest, verify)]
+  if (expected !== actual) throw verifyError(src, dest, verify, expected, actual)
+}
+
+function verifyError (src, dest, verify, expected, actual) {
+  const error = new Error(`Verification of '${dest}' failed: its ${verify} (${actual}) does not match the one of '${src}' (${expected})`)
+  error.code = 'ERR_VERIFY_MISMATCH'
+  error.src = src
+  error.dest = dest
+  error.verify = verify
+  error.expected = expected
+  error.actual = actual
+  return error
+}
+
+function isUpdateMode (overwrite) {
+  return UPDATE_MODES.includes(overwrite)
+}
+
+// Difference in modification time between src and dest, in milliseconds.
+// preserveTimestamps sets dest to the time of src rounded to milliseconds,
+// and the conversion to seconds for utimes() can leave it a tiny fraction
+// off, so both sides are rounded before comparing.
+function mtimeDiff (srcStat, destStat) {
+  return mtimeMillis(srcStat) - mtimeMillis(destStat)
+}
+
+function mtimeMillis (stats) {
+  // BigIntStats truncate mtimeMs to whole milliseconds, mtimeNs has the rest
+  const ms = typeof stats.mtimeNs === 'bigint' ? Number(stats.mtimeNs) / 1e6 : stats.mtimeMs
+  return Math.round(ms)
+}
+
+// Whether an existing `dest` has to be replaced in one of the update modes:
+// 'ifNewer' when src was modified more recently, 'ifDifferent' when size or
+// modification time differ (or the contents, when `compareContents` is set).
+async function needsUpdate (srcStat, destStat, src, dest, opts) {
+  if (opts.overwrite === 'ifNewer') return mtimeDiff(srcStat, destStat) > 0
+  if (Number(srcStat.size) !== Number(destStat.size)) return true
+  if (!opts.compareContents) return mtimeDiff(srcStat, destStat) !== 0
+
+  const [srcHash, destHash] = await Promise.all([hashFile(src), hashFile(dest)])
+  return srcHash !== destHash
+}
+
+function needsUpdateSync (srcStat, destStat, src, dest, opts) {
+  if (opts.overwrite === 'ifNewer') return mtimeDiff(srcStat, destStat) > 0
+  if (Number(srcStat.size) !== Number(destStat.size)) return true
+  if (!opts.compareContents) return mtimeDiff(srcStat, destStat) !== 0
+
+  return hashFileSync(src) !== hashFileSync(dest)
+}
+
+// Give `dest` the owner and group of `srcStat`. Symlinks are changed
+// themselves rather than their targets.
+// With `preserveOwnership: 'ifPermitted'`, ownership the caller isn't
+// allowed to give is left as it is instead of failing the copy.
+async function preserveOwnership (srcStat, src, dest, mode) {
+  const chown = srcStat.isSymbolicLink() ? nativeFs.promises.lchown : nativeFs.promises.chown
+  try {
+    await chown(dest, srcStat.uid, srcStat.gid)
+  } catch (err) {
+    if (err.code === 'EPERM' && mode === 'ifPermitted') return
+    throw ownershipError(err, srcStat, src, dest)
+  }
+}
+
+function preserveOwnershipSync (srcStat, src, dest, mode) {
+  const chownSync = srcStat.isSymbolicLink() ? nativeFs.lchownSync : nativeFs.chownSync
+  try {
+    chownSync(dest, srcStat.uid, srcStat.gid)
+  } catch (err) {
+    if (err.code === 'EPERM' && mode === 'ifPermitted') return
+    throw ownershipError(err, srcStat, src, dest)
+  }
+}
+
+function ownershipError (err, srcStat, src, dest) {
+  if (err.code !== 'EPERM') return err
+
+  const error = new Error(
+    `Cannot preserve ownership of '${src}' (uid ${srcStat.uid}, gid ${srcStat.gid}) on '${dest}': operation not permitted`,
+    { cause: err }
+  )
+  error.code = 'EPERM'
+  error.syscall = err.syscall
+  error.src = src
+  error.dest = dest
+  error.uid = srcStat.uid
+  error.gid = srcStat.gid
+  return error
+}
+
+// The report of `report: true`: destination paths of the files copied to
+// a new location, of those that replaced an existing file, of those left
+// alone because they exist, and of the symlinks created, source paths of the
+// entries left out by filter, include/exclude/maxDepth or ignore files, and
+// the number of bytes written.
+function createReport () {
+  return {
+    copied: [],
+    overwritten: [],
+    skipped: [],
+    filtered: [],
+    symlinks: [],
+    bytesWritten: 0
+  }
+}
+
+function addToReport (opts, category, file) {
+  if (opts.report) opts.result.report[category].push(file)
+}
+
+module.exports = {
+  checkReflinkMode,
+  isCloneUnsupported,
+  checkSymlinksMode,
+  rewriteLink,
+  checkCyclesMode,
+  findCycle,
+  findLinkCycle,
+  findLinkCycleSync,
+  checkConflictMode,
+  checkConflictDecision,
+  freeName,
+  freeNameSync,
+  unstagePath,
+  unstageResult,
+  unstageError,
+  cycleError,
+  checkVerifyMode,
+  verifyFile,
+  verifyFileSync,
+  isUpdateMode,
+  needsUpdate,
+  needsUpdateSync,
+  preserveOwnership,
+  preserveOwnershipSync,
+  createReport,
+  addToReport
+}
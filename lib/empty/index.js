@@ -5,16 +5,28 @@ const fs = require('../fs')
 const path = require('path')
 const mkdir = require('../mkdirs')
 const remove = require('../remove')
+const { removeContents } = require('../remove/remove-tree')
+const { throwIfAborted } = require('../util/abort')
+const { planMkdirs } = require('../util/dry-run')
+
+const emptyDir = u(async function emptyDir (dir, opts = {}) {
+  throwIfAborted(opts.signal)
 
-const emptyDir = u(async function emptyDir (dir) {
   let items
   try {
     items = await fs.readdir(dir)
   } catch {
-    return mkdir.mkdirs(dir)
+    if (opts.dryRun) {
+      const plan = []
+      await planMkdirs(plan, dir)
+      return plan
+    }
+    return mkdir.mkdirs(dir, { signal: opts.signal })
   }
 
-  return Promise.all(items.map(item => remove.remove(path.join(dir, item))))
+  if (opts.ignoreFiles || opts.dryRun || opts.continueOnError) return removeContents(dir, items, opts)
+
+  return Promise.all(items.map(item => remove.remove(path.join(dir, item), { signal: opts.signal })))
 })
 
 function emptyDirSync (dir) {
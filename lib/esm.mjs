@@ -7,6 +7,7 @@ import _move from './move/index.js'
 import _outputFile from './output-file/index.js'
 import _pathExists from './path-exists/index.js'
 import _remove from './remove/index.js'
+import _scaffold from './scaffold/index.js'
 
 // NOTE: Only exports fs-extra's functions; fs functions must be imported from "node:fs" or "node:fs/promises"
 
@@ -54,6 +55,7 @@ export const pathExists = _pathExists.pathExists
 export const pathExistsSync = _pathExists.pathExistsSync
 export const remove = _remove.remove
 export const removeSync = _remove.removeSync
+export const scaffold = _scaffold.scaffold
 
 export default {
   ..._copy,
@@ -64,5 +66,6 @@ export default {
   ..._move,
   ..._outputFile,
   ..._pathExists,
-  ..._remove
+  ..._remove,
+  ..._scaffold
 }
@@ -55,7 +55,9 @@ const api = [
 // Export cloned fs:
 Object.assign(exports, fs)
 
-// Universalify async methods:
+// Universalify async methods. Their arguments are passed on as they are, so
+// options such as the `signal` of readFile() or writeFile() reach Node
+// wherever it supports them:
 api.forEach(method => {
   exports[method] = u(fs[method])
 })
@@ -12,5 +12,6 @@ module.exports = {
   ...require('./move'),
   ...require('./output-file'),
   ...require('./path-exists'),
-  ...require('./remove')
+  ...require('./remove'),
+  ...require('./scaffold')
 }
@@ -1,6 +1,7 @@
 'use strict'
 const fs = require('../fs')
 const { checkPath } = require('./utils')
+const { throwIfAborted } = require('../util/abort')
 
 const getMode = options => {
   const defaults = { mode: 0o777 }
@@ -10,6 +11,7 @@ const getMode = options => {
 
 module.exports.makeDir = async (dir, options) => {
   checkPath(dir)
+  if (options && typeof options === 'object') throwIfAborted(options.signal)
 
   return fs.mkdir(dir, {
     mode: getMode(options),
@@ -0,0 +1,90 @@
+'use strict'
+
+const fs = require('../../')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('move() / moveSync() / conflict', () => {
+  let TEST_DIR, src, dest
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'move-conflict')
+    src = path.join(TEST_DIR, 'src.txt')
+    dest = path.join(TEST_DIR, 'dest.txt')
+    fs.emptyDirSync(TEST_DIR)
+    fs.writeFileSync(src, 'new')
+    fs.writeFileSync(dest, 'old')
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  const read = file => fs.readFileSync(path.join(TEST_DIR, file), 'utf8')
+
+  const moves = {
+    'move()': (src, dest, opts) => fs.move(src, dest, opts),
+    'moveSync()': (src, dest, opts) => fs.moveSync(src, dest, opts)
+  }
+
+  Object.keys(moves).forEach(name => {
+    const move = moves[name]
+
+    describe(name, () => {
+      it('should throw on an invalid mode', async () => {
+        await assert.rejects(async () => move(src, dest, { conflict: true }), TypeError)
+        assert(fs.existsSync(src))
+      })
+
+      it("should replace dest with 'overwrite'", async () => {
+        await move(src, dest, { conflict: 'overwrite' })
+        assert(!fs.existsSync(src))
+        assert.strictEqual(read('dest.txt'), 'new')
+      })
+
+      it("should leave both alone with 'skip'", async () => {
+        await move(src, dest, { conflict: 'skip' })
+        assert.strictEqual(read('src.txt'), 'new')
+        assert.strictEqual(read('dest.txt'), 'old')
+      })
+
+      it("should fail with 'error', even with overwrite", async () => {
+        await assert.rejects(async () => move(src, dest, { conflict: 'error', overwrite: true }), /dest already exists/)
+        assert.strictEqual(read('dest.txt'), 'old')
+      })
+
+      it("should move next to dest with 'rename'", async () => {
+        await move(src, dest, { conflict: 'rename' })
+        assert(!fs.existsSync(src))
+        assert.strictEqual(read('dest.txt'), 'old')
+        assert.strictEqual(read('dest (1).txt'), 'new')
+      })
+
+      it('should replace a directory with a file', async () => {
+        fs.removeSync(dest)
+        fs.outputFileSync(path.join(dest, 'inside.txt'), 'dir')
+        await move(src, dest, { conflict: 'overwrite' })
+        assert.strictEqual(read('dest.txt'), 'new')
+      })
+
+      it('should ask a function for a decision with the stats of both', async () => {
+        const calls = []
+        await move(src, dest, {
+          conflict (srcFile, destFile, srcStat, destStat) {
+            calls.push([srcFile, destFile, srcStat.isFile(), destStat.isFile()])
+            return 'rename'
+          }
+        })
+        assert.deepStrictEqual(calls, [[src, dest, true, true]])
+        assert.strictEqual(read('dest (1).txt'), 'new')
+      })
+
+      it('should not be asked when dest does not exist', async () => {
+        fs.removeSync(dest)
+        await move(src, dest, { conflict: () => assert.fail('called') })
+        assert.strictEqual(read('dest.txt'), 'new')
+      })
+    })
+  })
+})
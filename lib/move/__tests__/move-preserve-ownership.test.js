@@ -0,0 +1,129 @@
+'use strict'
+
+const fs = require('../../fs')
+const os = require('os')
+const fse = require('../../')
+const path = require('path')
+const assert = require('assert')
+
+/* global afterEach, beforeEach, describe, it */
+
+const isRoot = process.getuid && process.getuid() === 0
+const describeIfRoot = isRoot ? describe : describe.skip
+const describeIfPosix = process.platform === 'win32' ? describe.skip : describe
+
+describeIfRoot('+ move() / moveSync() across devices / ownership', () => {
+  const UID = 1234
+  const GID = 4321
+  let TEST_DIR, src, dest
+  const gfs = require('graceful-fs')
+  const { rename } = fs
+  const { renameSync } = gfs
+
+  function exdev () {
+    const err = new Error()
+    err.code = 'EXDEV'
+    throw err
+  }
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'move-preserve-ownership')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fse.emptyDirSync(TEST_DIR)
+    fse.outputFileSync(path.join(src, 'file'), 'hello')
+    fs.chownSync(src, UID, GID)
+    fs.chownSync(path.join(src, 'file'), UID, GID)
+
+    // force the cross-device code path for src, renames next to dest work
+    fs.rename = async (from, to) => from === src ? exdev() : rename(from, to)
+    gfs.renameSync = (from, to) => from === src ? exdev() : renameSync(from, to)
+  })
+
+  afterEach(done => {
+    fs.rename = rename
+    gfs.renameSync = renameSync
+    fse.remove(TEST_DIR, done)
+  })
+
+  function assertOwnership () {
+    ;['', 'file'].forEach(item => {
+      const stats = fs.statSync(path.join(dest, item))
+      assert.strictEqual(stats.uid, UID)
+      assert.strictEqual(stats.gid, GID)
+    })
+    assert(!fs.existsSync(src))
+  }
+
+  it('move() should keep owner and group', async () => {
+    await fse.move(src, dest)
+    assertOwnership()
+  })
+
+  it('moveSync() should keep owner and group', () => {
+    fse.moveSync(src, dest)
+    assertOwnership()
+  })
+})
+
+describeIfPosix('+ move() / moveSync() across devices / ownership without privilege', () => {
+  let TEST_DIR, src, dest
+  const nativeFs = require('fs')
+  const gfs = require('graceful-fs')
+  const { rename } = fs
+  const { renameSync } = gfs
+  const { chown } = nativeFs.promises
+  const { chownSync } = nativeFs
+
+  function fail (code) {
+    const err = new Error(code)
+    err.code = code
+    throw err
+  }
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'move-preserve-ownership')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fse.emptyDirSync(TEST_DIR)
+    fse.outputFileSync(path.join(src, 'file'), 'hello')
+
+    // force the cross-device code path for src, renames next to dest work
+    fs.rename = async (from, to) => from === src ? fail('EXDEV') : rename(from, to)
+    gfs.renameSync = (from, to) => from === src ? fail('EXDEV') : renameSync(from, to)
+    nativeFs.promises.chown = async () => fail('EPERM')
+    nativeFs.chownSync = () => fail('EPERM')
+  })
+
+  afterEach(done => {
+    fs.rename = rename
+    gfs.renameSync = renameSync
+    nativeFs.promises.chown = chown
+    nativeFs.chownSync = chownSync
+    fse.remove(TEST_DIR, done)
+  })
+
+  it('move() should still move', async () => {
+    await fse.move(src, dest)
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'file'), 'utf8'), 'hello')
+    assert(!fs.existsSync(src))
+  })
+
+  it('moveSync() should still move', () => {
+    fse.moveSync(src, dest)
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'file'), 'utf8'), 'hello')
+    assert(!fs.existsSync(src))
+  })
+
+  it('move() should fail with preserveOwnership', async () => {
+    await assert.rejects(fse.move(src, dest, { preserveOwnership: true }), { code: 'EPERM' })
+    assert(fs.existsSync(src))
+    assert(!fs.existsSync(dest))
+  })
+
+  it('moveSync() should fail with preserveOwnership', () => {
+    assert.throws(() => fse.moveSync(src, dest, { preserveOwnership: true }), { code: 'EPERM' })
+    assert(fs.existsSync(src))
+    assert(!fs.existsSync(dest))
+  })
+})
@@ -0,0 +1,53 @@
+'use strict'
+
+const fs = require('../../fs')
+const os = require('os')
+const fse = require('../../')
+const path = require('path')
+const assert = require('assert')
+
+/* global afterEach, beforeEach, describe, it */
+
+describe('+ move() / onProgress', () => {
+  let TEST_DIR
+  const originalRename = fs.rename
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'move-progress')
+    fse.emptyDirSync(TEST_DIR)
+    fse.outputFileSync(path.join(TEST_DIR, 'src', 'a'), 'aaa')
+    fse.outputFileSync(path.join(TEST_DIR, 'src', 'sub', 'b'), 'b')
+
+    // force the cross-device code path for src, renames next to dest work
+    fs.rename = async (from, to) => {
+      if (from !== path.join(TEST_DIR, 'src')) return originalRename(from, to)
+      const err = new Error()
+      err.code = 'EXDEV'
+      throw err
+    }
+  })
+
+  afterEach(done => {
+    fs.rename = originalRename
+    fse.remove(TEST_DIR, done)
+  })
+
+  it('should report copy progress when moving across devices', async () => {
+    const src = path.join(TEST_DIR, 'src')
+    const dest = path.join(TEST_DIR, 'dest')
+    const events = []
+
+    await fse.move(src, dest, { onProgress: p => events.push(p), prescan: true })
+
+    assert.strictEqual(fs.existsSync(src), false)
+    assert.strictEqual(events.length, 2)
+    assert.deepStrictEqual(events[1], {
+      src: events[1].src,
+      dest: events[1].dest,
+      filesDone: 2,
+      bytesDone: 4,
+      filesTotal: 2,
+      bytesTotal: 4
+    })
+  })
+})
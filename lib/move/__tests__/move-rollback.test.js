@@ -0,0 +1,156 @@
+'use strict'
+
+const fs = require('../../fs')
+const os = require('os')
+const fse = require('../../')
+const path = require('path')
+const assert = require('assert')
+
+/* global afterEach, beforeEach, describe, it */
+
+describe('+ move() / moveSync() rollback', () => {
+  let TEST_DIR, src, dest
+  const gfs = require('graceful-fs')
+  const { rename, copyFile } = fs
+  const { renameSync, copyFileSync } = gfs
+
+  function fail (code) {
+    const err = new Error(code)
+    err.code = code
+    throw err
+  }
+
+  // src is on another device, and copying 'b' fails
+  function failAcrossDevices () {
+    fs.rename = async (from, to) => from === src ? fail('EXDEV') : rename(from, to)
+    gfs.renameSync = (from, to) => from === src ? fail('EXDEV') : renameSync(from, to)
+    fs.copyFile = async (from, to, ...args) => path.basename(from) === 'b' ? fail('EIO') : copyFile(from, to, ...args)
+    gfs.copyFileSync = (from, to, ...args) => path.basename(from) === 'b' ? fail('EIO') : copyFileSync(from, to, ...args)
+  }
+
+  function assertUntouched () {
+    assert.strictEqual(fs.readFileSync(path.join(src, 'a'), 'utf8'), 'a')
+    assert.strictEqual(fs.readFileSync(path.join(src, 'sub', 'b'), 'utf8'), 'b')
+    // no staging directory is left behind
+    assert.deepStrictEqual(fs.readdirSync(TEST_DIR).filter(name => name.startsWith('.')), [])
+  }
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'move-rollback')
+    src = path.join(TEST_DIR, 'src')
+    dest = path.join(TEST_DIR, 'dest')
+    fse.emptyDirSync(TEST_DIR)
+    fse.outputFileSync(path.join(src, 'a'), 'a')
+    fse.outputFileSync(path.join(src, 'sub', 'b'), 'b')
+  })
+
+  afterEach(done => {
+    Object.assign(fs, { rename, copyFile })
+    Object.assign(gfs, { renameSync, copyFileSync })
+    fse.remove(TEST_DIR, done)
+  })
+
+  describe('> when the copy across devices fails', () => {
+    beforeEach(failAcrossDevices)
+
+    it('move() should not leave a partial dest', async () => {
+      await assert.rejects(fse.move(src, dest), { code: 'EIO' })
+      assertUntouched()
+      assert(!fs.existsSync(dest))
+    })
+
+    it('moveSync() should not leave a partial dest', () => {
+      assert.throws(() => fse.moveSync(src, dest), { code: 'EIO' })
+      assertUntouched()
+      assert(!fs.existsSync(dest))
+    })
+
+    it('move() should restore the dest it was to overwrite', async () => {
+      fse.outputFileSync(path.join(dest, 'old'), 'old')
+      await assert.rejects(fse.move(src, dest, { overwrite: true }), { code: 'EIO' })
+      assertUntouched()
+      assert.deepStrictEqual(fs.readdirSync(dest), ['old'])
+    })
+
+    it('moveSync() should restore the dest it was to overwrite', () => {
+      fse.outputFileSync(path.join(dest, 'old'), 'old')
+      assert.throws(() => fse.moveSync(src, dest, { overwrite: true }), { code: 'EIO' })
+      assertUntouched()
+      assert.deepStrictEqual(fs.readdirSync(dest), ['old'])
+    })
+  })
+
+  it('move() should replace dest across devices', async () => {
+    fs.rename = async (from, to) => from === src ? fail('EXDEV') : rename(from, to)
+    fse.outputFileSync(path.join(dest, 'old'), 'old')
+
+    await fse.move(src, dest, { overwrite: true })
+    assert(!fs.existsSync(src))
+    assert.deepStrictEqual(fs.readdirSync(dest).sort(), ['a', 'sub'])
+    assert.deepStrictEqual(fs.readdirSync(TEST_DIR), ['dest'])
+  })
+
+  it('move() should report progress with the paths in dest', async () => {
+    fs.rename = async (from, to) => from === src ? fail('EXDEV') : rename(from, to)
+    const events = []
+
+    await fse.move(src, dest, { onProgress: event => events.push(event.dest) })
+    assert.deepStrictEqual(events.sort(), [path.join(dest, 'a'), path.join(dest, 'sub', 'b')])
+  })
+
+  it('move() should restore dest when the rename fails', async () => {
+    fs.rename = async (from, to) => from === src ? fail('EACCES') : rename(from, to)
+    fse.outputFileSync(path.join(dest, 'old'), 'old')
+
+    await assert.rejects(fse.move(src, dest, { overwrite: true }), { code: 'EACCES' })
+    assertUntouched()
+    assert.deepStrictEqual(fs.readdirSync(dest), ['old'])
+  })
+
+  it('move() should keep the original error when restoring dest fails', async () => {
+    fs.rename = async (from, to) => from === src || to === dest ? fail(from === src ? 'EACCES' : 'EBUSY') : rename(from, to)
+    fse.outputFileSync(path.join(dest, 'old'), 'old')
+
+    await assert.rejects(fse.move(src, dest, { overwrite: true }), err => {
+      assert.strictEqual(err.code, 'EACCES')
+      assert.strictEqual(err.restoreError.code, 'EBUSY')
+      return true
+    })
+    // the staging directory is kept, as it holds the old dest
+    const [stagingDir] = fs.readdirSync(TEST_DIR).filter(name => name.startsWith('.'))
+    assert.deepStrictEqual(fs.readdirSync(path.join(TEST_DIR, stagingDir, 'old')), ['old'])
+  })
+
+  it('moveSync() should keep the original error when restoring dest fails', () => {
+    gfs.renameSync = (from, to) => from === src || to === dest ? fail(from === src ? 'EACCES' : 'EBUSY') : renameSync(from, to)
+    fse.outputFileSync(path.join(dest, 'old'), 'old')
+
+    assert.throws(() => fse.moveSync(src, dest, { overwrite: true }), err => {
+      assert.strictEqual(err.code, 'EACCES')
+      assert.strictEqual(err.restoreError.code, 'EBUSY')
+      return true
+    })
+    const [stagingDir] = fs.readdirSync(TEST_DIR).filter(name => name.startsWith('.'))
+    assert.deepStrictEqual(fs.readdirSync(path.join(TEST_DIR, stagingDir, 'old')), ['old'])
+  })
+
+  it('move() should not reuse a resume staging directory that holds a backup', async () => {
+    fs.rename = async (from, to) => from === src ? fail('EXDEV') : rename(from, to)
+    const backup = path.join(TEST_DIR, '.dest-resume', 'old')
+    fse.outputFileSync(path.join(backup, 'only-copy'), 'precious')
+
+    await assert.rejects(fse.move(src, dest, { resume: true }), /could not be put back/)
+    assert.strictEqual(fs.readFileSync(path.join(backup, 'only-copy'), 'utf8'), 'precious')
+    assert(fs.existsSync(path.join(src, 'a')))
+    assert(!fs.existsSync(dest))
+  })
+
+  it('moveSync() should restore dest when the rename fails', () => {
+    gfs.renameSync = (from, to) => from === src ? fail('EACCES') : renameSync(from, to)
+    fse.outputFileSync(path.join(dest, 'old'), 'old')
+
+    assert.throws(() => fse.moveSync(src, dest, { overwrite: true }), { code: 'EACCES' })
+    assertUntouched()
+    assert.deepStrictEqual(fs.readdirSync(dest), ['old'])
+  })
+})
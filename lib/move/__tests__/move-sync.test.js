@@ -13,8 +13,10 @@ const { differentDevice, ifCrossDeviceEnabled } = require('./cross-device-utils'
 
 const describeIfWindows = process.platform === 'win32' ? describe : describe.skip
 
-function createSyncErrFn (errCode) {
-  const fn = function () {
+// only src is on another device: renames next to dest still work
+function createSyncErrFn (errCode, src) {
+  const fn = function (from, to) {
+    if (from !== src) return originalRenameSync(from, to)
     const err = new Error()
     err.code = errCode
     throw err
@@ -24,8 +26,8 @@ function createSyncErrFn (errCode) {
 
 const originalRenameSync = fs.renameSync
 
-function setUpMockFs (errCode) {
-  fs.renameSync = createSyncErrFn(errCode)
+function setUpMockFs (errCode, src) {
+  fs.renameSync = createSyncErrFn(errCode, src)
 }
 
 function tearDownMockFs () {
@@ -170,7 +172,7 @@ describe('moveSync()', () => {
     const src = `${TEST_DIR}/a-file`
     const dest = `${TEST_DIR}/a-file-dest`
 
-    setUpMockFs('EXDEV')
+    setUpMockFs('EXDEV', src)
 
     fse.moveSync(src, dest)
 
@@ -199,7 +201,7 @@ describe('moveSync()', () => {
     const dest = `${TEST_DIR}/a-folder-dest`
     fs.mkdirSync(dest)
 
-    setUpMockFs('EXDEV')
+    setUpMockFs('EXDEV', src)
 
     fse.moveSync(src, dest, { overwrite: true })
 
@@ -213,7 +215,7 @@ describe('moveSync()', () => {
     const src = `${TEST_DIR}/a-folder`
     const dest = `${TEST_DIR}/a-folder-dest`
 
-    setUpMockFs('EXDEV')
+    setUpMockFs('EXDEV', src)
 
     fse.moveSync(src, dest)
 
@@ -11,8 +11,10 @@ const { differentDevice, ifCrossDeviceEnabled } = require('./cross-device-utils'
 
 const describeIfWindows = process.platform === 'win32' ? describe : describe.skip
 
-function createAsyncErrFn (errCode) {
-  async function fn () {
+// only src is on another device: renames next to dest still work
+function createAsyncErrFn (errCode, src) {
+  async function fn (from, to) {
+    if (from !== src) return originalRename(from, to)
     fn.callCount++
     const err = new Error()
     err.code = errCode
@@ -25,8 +27,8 @@ function createAsyncErrFn (errCode) {
 
 const originalRename = fs.rename
 
-function setUpMockFs (errCode) {
-  fs.rename = createAsyncErrFn(errCode)
+function setUpMockFs (errCode, src) {
+  fs.rename = createAsyncErrFn(errCode, src)
 }
 
 function tearDownMockFs () {
@@ -106,7 +108,7 @@ describe('+ move()', () => {
 
       fs.mkdirSync(dest)
 
-      setUpMockFs('EXDEV')
+      setUpMockFs('EXDEV', src)
 
       fse.move(src, dest, { overwrite: true }, err => {
         assert.ifError(err)
@@ -228,7 +230,7 @@ describe('+ move()', () => {
       const src = path.join(TEST_DIR, 'a-file')
       const dest = path.join(TEST_DIR, 'a-file-dest')
 
-      setUpMockFs('EXDEV')
+      setUpMockFs('EXDEV', src)
 
       fse.move(src, dest, err => {
         assert.ifError(err)
@@ -266,7 +268,7 @@ describe('+ move()', () => {
       const src = path.join(TEST_DIR, 'a-folder')
       const dest = path.join(TEST_DIR, 'a-folder-dest')
 
-      setUpMockFs('EXDEV')
+      setUpMockFs('EXDEV', src)
 
       fse.move(src, dest, err => {
         assert.ifError(err)
@@ -6,15 +6,31 @@ const copySync = require('../copy').copySync
 const removeSync = require('../remove').removeSync
 const mkdirpSync = require('../mkdirs').mkdirpSync
 const stat = require('../util/stat')
+const { checkVerifyMode, checkConflictMode, checkConflictDecision, freeNameSync, unstageError } = require('../copy/utils')
 
 function moveSync (src, dest, opts) {
   opts = opts || {}
-  const overwrite = opts.overwrite || opts.clobber || false
+  let overwrite = opts.overwrite || opts.clobber || false
+  if (opts.verify) checkVerifyMode(opts.verify)
+  if (opts.conflict !== undefined) checkConflictMode(opts.conflict)
 
-  const { srcStat, isChangingCase = false } = stat.checkPathsSync(src, dest, 'move', opts)
+  const { srcStat, destStat, isChangingCase = false } = stat.checkPathsSync(src, dest, 'move', opts)
   stat.checkParentPathsSync(src, srcStat, dest, 'move')
+
+  if (opts.conflict && destStat && !isChangingCase) {
+    const decision = conflictDecision(src, dest, opts)
+    if (decision === 'skip') return
+    if (decision === 'error') throw new Error('dest already exists.')
+    if (decision === 'rename') dest = freeNameSync(src, dest)
+    overwrite = decision === 'overwrite'
+  }
   if (!isParentRoot(dest)) mkdirpSync(path.dirname(dest))
-  return doRename(src, dest, overwrite, isChangingCase)
+  return doRename(src, dest, overwrite, isChangingCase, opts)
+}
+
+function conflictDecision (src, dest, opts) {
+  if (typeof opts.conflict !== 'function') return opts.conflict
+  return checkConflictDecision(opts.conflict(src, dest, fs.lstatSync(src), fs.lstatSync(dest)))
 }
 
 function isParentRoot (dest) {
@@ -23,33 +39,70 @@ function isParentRoot (dest) {
   return parsedPath.root === parent
 }
 
-function doRename (src, dest, overwrite, isChangingCase) {
-  if (isChangingCase) return rename(src, dest, overwrite)
-  if (overwrite) {
-    removeSync(dest)
-    return rename(src, dest, overwrite)
-  }
-  if (fs.existsSync(dest)) throw new Error('dest already exists.')
-  return rename(src, dest, overwrite)
-}
+// See doRename() of move(): dest is replaced as a whole or not at all.
+function doRename (src, dest, overwrite, isChangingCase, opts) {
+  const replace = !isChangingCase && fs.existsSync(dest)
+  if (replace && !overwrite) throw new Error('dest already exists.')
+
+  let stagingDir = null
+  let backedUp = false
+  let crossDevice = false
+  let keepStagingDir = false
 
-function rename (src, dest, overwrite) {
   try {
-    fs.renameSync(src, dest)
+    if (replace) {
+      stagingDir = createStagingDir(dest)
+      fs.renameSync(dest, path.join(stagingDir, 'old'))
+      backedUp = true
+    }
+
+    try {
+      fs.renameSync(src, dest)
+    } catch (err) {
+      if (err.code !== 'EXDEV') throw err
+      if (!stagingDir) stagingDir = createStagingDir(dest)
+      moveAcrossDevice(src, dest, path.join(stagingDir, 'new'), opts)
+      crossDevice = true
+    }
   } catch (err) {
-    if (err.code !== 'EXDEV') throw err
-    return moveAcrossDevice(src, dest, overwrite)
+    if (backedUp) {
+      // should putting dest back fail too, the staging directory still
+      // holds it, and the caller still learns why the move failed
+      try {
+        fs.renameSync(path.join(stagingDir, 'old'), dest)
+      } catch (restoreError) {
+        keepStagingDir = true
+        err.restoreError = restoreError
+      }
+    }
+    throw err
+  } finally {
+    if (stagingDir && !keepStagingDir) removeSync(stagingDir)
   }
+
+  // src is only removed once the copy has passed verification
+  if (crossDevice) removeSync(src)
+}
+
+function createStagingDir (dest) {
+  return fs.mkdtempSync(path.join(path.dirname(dest), `.${path.basename(dest)}-`))
 }
 
-function moveAcrossDevice (src, dest, overwrite) {
-  const opts = {
-    overwrite,
+function moveAcrossDevice (src, dest, staged, opts) {
+  const copyOpts = {
+    overwrite: true,
     errorOnExist: true,
-    preserveTimestamps: true
+    preserveTimestamps: true,
+    preserveOwnership: opts.preserveOwnership ? true : 'ifPermitted',
+    verify: opts.verify
+  }
+  try {
+    copySync(src, staged, copyOpts)
+  } catch (err) {
+    unstageError(err, staged, dest)
+    throw err
   }
-  copySync(src, dest, opts)
-  return removeSync(src)
+  fs.renameSync(staged, dest)
 }
 
 module.exports = moveSync
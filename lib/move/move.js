@@ -7,14 +7,31 @@ const { remove } = require('../remove')
 const { mkdirp } = require('../mkdirs')
 const { pathExists } = require('../path-exists')
 const stat = require('../util/stat')
+const { throwIfAborted } = require('../util/abort')
+const { checkVerifyMode, checkConflictMode, checkConflictDecision, freeName, unstagePath, unstageError } = require('../copy/utils')
+const { planMkdirs } = require('../util/dry-run')
 
 async function move (src, dest, opts = {}) {
-  const overwrite = opts.overwrite || opts.clobber || false
+  let overwrite = opts.overwrite || opts.clobber || false
 
-  const { srcStat, isChangingCase = false } = await stat.checkPaths(src, dest, 'move', opts)
+  throwIfAborted(opts.signal)
+  if (opts.verify) checkVerifyMode(opts.verify)
+  if (opts.conflict !== undefined) checkConflictMode(opts.conflict)
+
+  const { srcStat, destStat, isChangingCase = false } = await stat.checkPaths(src, dest, 'move', opts)
 
   await stat.checkParentPaths(src, srcStat, dest, 'move')
 
+  if (opts.conflict && destStat && !isChangingCase) {
+    const decision = await conflictDecision(src, dest, opts)
+    if (decision === 'skip') return opts.dryRun ? [] : undefined
+    if (decision === 'error') throw new Error('dest already exists.')
+    if (decision === 'rename') dest = await freeName(src, dest)
+    overwrite = decision === 'overwrite'
+  }
+
+  if (opts.dryRun) return planMove(src, dest, overwrite, isChangingCase, opts)
+
   // If the parent of dest is not root, make sure it exists before proceeding
   const destParent = path.dirname(dest)
   const parsedParentPath = path.parse(destParent)
@@ -22,38 +39,174 @@ async function move (src, dest, opts = {}) {
     await mkdirp(destParent)
   }
 
-  return doRename(src, dest, overwrite, isChangingCase)
+  return doRename(src, dest, overwrite, isChangingCase, opts)
 }
 
-async function doRename (src, dest, overwrite, isChangingCase) {
-  if (!isChangingCase) {
-    if (overwrite) {
-      await remove(dest)
-    } else if (await pathExists(dest)) {
-      throw new Error('dest already exists.')
-    }
+// Unlike copy, move never merges directories: any existing dest is a
+// conflict.
+async function conflictDecision (src, dest, opts) {
+  if (typeof opts.conflict !== 'function') return opts.conflict
+  const [srcStat, destStat] = await Promise.all([fs.lstat(src), fs.lstat(dest)])
+  return checkConflictDecision(await opts.conflict(src, dest, srcStat, destStat))
+}
+
+// Resolves with the operations move() would perform, following doRename().
+// Whether a rename is possible is decided by comparing the devices of src
+// and of the closest existing ancestor of dest, instead of by trying it. The
+// random part of the name of the staging directory shows as XXXXXX.
+async function planMove (src, dest, overwrite, isChangingCase, opts) {
+  const plan = []
+  await planMkdirs(plan, path.dirname(dest))
+
+  const replace = !isChangingCase && await pathExists(dest)
+  if (replace && !overwrite) throw new Error('dest already exists.')
+
+  const sameDevice = await isSameDevice(src, dest)
+  const stagingDir = stagingPrefix(dest) + (opts.resume ? 'resume' : 'XXXXXX')
+  const backup = path.join(stagingDir, 'old')
+  if (replace || !sameDevice) plan.push({ op: 'mkdir', path: stagingDir })
+  if (replace) plan.push({ op: 'rename', src: dest, dest: backup })
+
+  if (sameDevice) {
+    plan.push({ op: 'rename', src, dest })
+  } else {
+    const staged = path.join(stagingDir, 'new')
+    const copyPlan = await copy(src, staged, { ...copyOptions(true, opts), dryRun: true })
+    // the staging directory is already part of the plan
+    plan.push(...copyPlan.filter(entry => !(entry.op === 'mkdir' && plan.some(planned => planned.op === 'mkdir' && planned.path === entry.path))))
+    plan.push({ op: 'rename', src: staged, dest })
+  }
+
+  if (replace) {
+    const removal = await remove(dest, { dryRun: true })
+    plan.push(...removal.map(entry => ({ ...entry, path: path.join(backup, path.relative(dest, entry.path)) })))
   }
+  if (replace || !sameDevice) plan.push({ op: 'rmdir', path: stagingDir })
+  if (!sameDevice) plan.push(...await remove(src, { dryRun: true }))
+
+  return plan
+}
+
+async function isSameDevice (src, dest) {
+  const { dev } = await fs.lstat(src)
+  let dir = path.dirname(dest)
+  while (!(await pathExists(dir)) && path.dirname(dir) !== dir) dir = path.dirname(dir)
+  return dev === (await fs.stat(dir)).dev
+}
+
+// Moves src to dest as a whole or not at all. An existing dest is moved
+// aside into a staging directory next to it, rather than removed, and put
+// back if the move fails. Across devices, src is copied into the staging
+// directory and renamed into place once complete, so a failed copy leaves
+// no partial dest behind.
+async function doRename (src, dest, overwrite, isChangingCase, opts) {
+  throwIfAborted(opts.signal)
+
+  const replace = !isChangingCase && await pathExists(dest)
+  if (replace && !overwrite) throw new Error('dest already exists.')
+
+  let stagingDir = null
+  let backedUp = false
+  let crossDevice = false
+  let keepStagingDir = false
 
   try {
-    // Try w/ rename first, and try copy + remove if EXDEV
-    await fs.rename(src, dest)
+    if (replace) {
+      stagingDir = await createStagingDir(dest, opts)
+      await fs.rename(dest, path.join(stagingDir, 'old'))
+      backedUp = true
+    }
+
+    try {
+      // Try w/ rename first, and try copy + remove if EXDEV
+      await fs.rename(src, dest)
+    } catch (err) {
+      if (err.code !== 'EXDEV') {
+        throw err
+      }
+      if (!stagingDir) stagingDir = await createStagingDir(dest, opts)
+      await moveAcrossDevice(src, dest, path.join(stagingDir, 'new'), opts)
+      crossDevice = true
+    }
   } catch (err) {
-    if (err.code !== 'EXDEV') {
-      throw err
+    // the partial files of a resumable copy are what the next attempt
+    // resumes from
+    keepStagingDir = !!opts.resume
+    if (backedUp) {
+      // should putting dest back fail too, the staging directory still
+      // holds it, and the caller still learns why the move failed
+      try {
+        await fs.rename(path.join(stagingDir, 'old'), dest)
+      } catch (restoreError) {
+        keepStagingDir = true
+        err.restoreError = restoreError
+      }
     }
-    await moveAcrossDevice(src, dest, overwrite)
+    throw err
+  } finally {
+    if (stagingDir && !keepStagingDir) await remove(stagingDir)
+  }
+
+  // src is only removed once dest is complete (and passed verification), so
+  // a move that fails before leaves src untouched
+  if (crossDevice) await remove(src)
+}
+
+// A hidden sibling of dest, so that renames between the two never cross
+// devices. With `resume` it has a fixed name, for the next attempt to find.
+async function createStagingDir (dest, opts) {
+  const prefix = stagingPrefix(dest)
+  if (!opts.resume) return fs.mkdtemp(prefix)
+
+  const stagingDir = prefix + 'resume'
+  await fs.mkdir(stagingDir, { recursive: true })
+  // a restore that failed left the only copy of an earlier dest there, which
+  // the cleanup of this move would delete
+  const backup = path.join(stagingDir, 'old')
+  if (await fs.lstat(backup).then(() => true, () => false)) {
+    throw new Error(`'${backup}' is the backup of an earlier move that could not be put back, restore it first.`)
   }
+  return stagingDir
 }
 
-async function moveAcrossDevice (src, dest, overwrite) {
-  const opts = {
+function stagingPrefix (dest) {
+  return path.join(path.dirname(dest), `.${path.basename(dest)}-`)
+}
+
+function copyOptions (overwrite, opts) {
+  return {
     overwrite,
     errorOnExist: true,
-    preserveTimestamps: true
+    preserveTimestamps: true,
+    // ownership that can't be given is only an error when asked for
+    preserveOwnership: opts.preserveOwnership ? true : 'ifPermitted',
+    onProgress: opts.onProgress,
+    prescan: opts.prescan,
+    signal: opts.signal,
+    verify: opts.verify,
+    resume: opts.resume,
+    resumeThreshold: opts.resumeThreshold,
+    continueOnError: opts.continueOnError
+  }
+}
+
+// Copies src to `staged` and renames it to dest. Progress and errors are
+// reported with the paths the files end up at.
+async function moveAcrossDevice (src, dest, staged, opts) {
+  // the staging directory is ours, anything left in it by an earlier
+  // attempt is replaced
+  const copyOpts = copyOptions(true, opts)
+  if (opts.onProgress) {
+    copyOpts.onProgress = event => opts.onProgress({ ...event, dest: unstagePath(event.dest, staged, dest) })
   }
 
-  await copy(src, dest, opts)
-  return remove(src)
+  try {
+    await copy(src, staged, copyOpts)
+  } catch (err) {
+    for (const error of err.errors || [err]) unstageError(error, staged, dest)
+    throw err
+  }
+  await fs.rename(staged, dest)
 }
 
 module.exports = move
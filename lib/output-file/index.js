@@ -5,10 +5,24 @@ const fs = require('../fs')
 const path = require('path')
 const mkdir = require('../mkdirs')
 const pathExists = require('../path-exists').pathExists
+const { throwIfAborted } = require('../util/abort')
+const { planMkdirs } = require('../util/dry-run')
 
 async function outputFile (file, data, encoding = 'utf-8') {
   const dir = path.dirname(file)
 
+  // the signal itself is handled by fs.writeFile(), but check it before
+  // creating any parent directory
+  if (encoding && typeof encoding === 'object') {
+    throwIfAborted(encoding.signal)
+    if (encoding.dryRun) {
+      const plan = []
+      await planMkdirs(plan, dir)
+      plan.push({ op: 'writeFile', path: file })
+      return plan
+    }
+  }
+
   if (!(await pathExists(dir))) {
     await mkdir.mkdirs(dir)
   }
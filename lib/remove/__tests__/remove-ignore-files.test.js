@@ -0,0 +1,73 @@
+'use strict'
+
+const fs = require('../../')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+const klawSync = require('klaw-sync')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('remove() / emptyDir() / ignoreFiles', () => {
+  let TEST_DIR, dir
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'remove-ignore-files')
+    dir = path.join(TEST_DIR, 'checkout')
+    fs.emptyDirSync(TEST_DIR)
+    const files = {
+      '.gitignore': '.env\n/cache/\n',
+      'index.js': '',
+      '.env': '',
+      'cache/a': '',
+      'src/index.js': '',
+      'src/.gitignore': '*.local\n',
+      'src/config.local': '',
+      'docs/readme.md': ''
+    }
+    for (const [file, content] of Object.entries(files)) {
+      fs.outputFileSync(path.join(dir, file), content)
+    }
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  function remaining () {
+    return klawSync(dir)
+      .map(item => path.relative(dir, item.path).split(path.sep).join('/'))
+      .sort()
+  }
+
+  it('remove() should leave ignored entries and their directories in place', async () => {
+    let deleted = 0
+    await fs.remove(dir, { ignoreFiles: ['.gitignore'], onProgress: p => { deleted = p.entriesDeleted } })
+    assert.deepStrictEqual(remaining(), ['.env', 'cache', 'cache/a', 'src', 'src/config.local'])
+    // index.js, both .gitignore files, src/index.js, docs/readme.md and docs
+    assert.strictEqual(deleted, 6)
+  })
+
+  it('remove() should remove the whole tree when nothing is ignored', async () => {
+    fs.removeSync(path.join(dir, '.env'))
+    fs.removeSync(path.join(dir, 'cache'))
+    fs.removeSync(path.join(dir, 'src', 'config.local'))
+    await fs.remove(dir, { ignoreFiles: ['.gitignore'] })
+    assert(!fs.existsSync(dir))
+  })
+
+  it('emptyDir() should only remove entries that are not ignored', async () => {
+    await fs.emptyDir(dir, { ignoreFiles: ['.gitignore'] })
+    assert.deepStrictEqual(remaining(), ['.env', 'cache', 'cache/a', 'src', 'src/config.local'])
+  })
+
+  it('emptyDir() should still create a missing directory', async () => {
+    const missing = path.join(TEST_DIR, 'missing')
+    await fs.emptyDir(missing, { ignoreFiles: ['.gitignore'] })
+    assert(fs.statSync(missing).isDirectory())
+  })
+
+  it('should reject invalid ignoreFiles', async () => {
+    await assert.rejects(fs.remove(dir, { ignoreFiles: '.gitignore' }), TypeError)
+    await assert.rejects(fs.emptyDir(dir, { ignoreFiles: '.gitignore' }), TypeError)
+    assert(fs.existsSync(path.join(dir, 'index.js')))
+  })
+})
@@ -0,0 +1,41 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const fse = require('../..')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, describe, it */
+
+describe('remove / async / onProgress', () => {
+  let TEST_DIR, dir
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'remove-progress')
+    dir = path.join(TEST_DIR, 'dir')
+    fse.emptyDirSync(TEST_DIR)
+    fse.outputFileSync(path.join(dir, 'a'), 'a')
+    fse.outputFileSync(path.join(dir, 'sub', 'b'), 'b')
+  })
+
+  it('should report every deleted entry', async () => {
+    const events = []
+    await fse.remove(dir, { onProgress: p => events.push(p) })
+
+    assert.strictEqual(fs.existsSync(dir), false)
+    assert.deepStrictEqual(events.map(e => e.entriesDeleted), [1, 2, 3, 4])
+    assert.strictEqual(events[3].path, dir)
+    assert.strictEqual(events[3].entriesTotal, null)
+  })
+
+  it('should report the total when prescan is true', async () => {
+    const events = []
+    await fse.remove(dir, { onProgress: p => events.push(p), prescan: true })
+    events.forEach(e => assert.strictEqual(e.entriesTotal, 4))
+  })
+
+  it('should not report anything when path does not exist', done => {
+    fse.remove(path.join(TEST_DIR, 'nope'), { onProgress: () => done(new Error('unexpected progress')), prescan: true }, done)
+  })
+})
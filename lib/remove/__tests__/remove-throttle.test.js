@@ -0,0 +1,60 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const fse = require('../..')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, describe, it */
+
+describe('remove / async / maxBytesPerSecond and maxOpsPerSecond', () => {
+  let TEST_DIR, dir
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'remove-throttle')
+    dir = path.join(TEST_DIR, 'dir')
+    fse.emptyDirSync(TEST_DIR)
+  })
+
+  it('should limit the number of entries deleted per second', async () => {
+    for (let i = 0; i < 5; i++) fse.outputFileSync(path.join(dir, `file-${i}`), `${i}`)
+
+    const start = Date.now()
+    await fse.remove(dir, { maxOpsPerSecond: 4 })
+
+    // six entries: four at once, then one every quarter of a second
+    assert(Date.now() - start >= 400)
+    assert.strictEqual(fs.existsSync(dir), false)
+  })
+
+  it('should count the size of the files deleted against maxBytesPerSecond', async () => {
+    fse.outputFileSync(path.join(dir, 'a'), Buffer.alloc(1024))
+    fse.outputFileSync(path.join(dir, 'b'), Buffer.alloc(512))
+
+    const start = Date.now()
+    await fse.remove(dir, { maxBytesPerSecond: 1024 })
+
+    assert(Date.now() - start >= 400)
+    assert.strictEqual(fs.existsSync(dir), false)
+  })
+
+  it('should not wait in a dry run', async () => {
+    for (let i = 0; i < 5; i++) fse.outputFileSync(path.join(dir, `file-${i}`), `${i}`)
+
+    // the limit is read every time the throttle is asked to let an operation through
+    let asked = 0
+    const plan = await fse.remove(dir, { maxOpsPerSecond: () => { asked++; return 1 }, dryRun: true })
+
+    assert.strictEqual(asked, 0)
+    assert.strictEqual(plan.length, 6)
+    assert(fs.existsSync(dir))
+  })
+
+  it('should reject invalid limits', done => {
+    fse.remove(dir, { maxOpsPerSecond: -1 }, err => {
+      assert(err instanceof TypeError)
+      done()
+    })
+  })
+})
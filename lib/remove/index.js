@@ -2,8 +2,19 @@
 
 const fs = require('graceful-fs')
 const u = require('universalify').fromCallback
+const { removeTree } = require('./remove-tree')
+
+function remove (path, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts
+    opts = {}
+  }
+
+  if (opts && (opts.onProgress || opts.signal || opts.ignoreFiles || opts.dryRun || opts.maxBytesPerSecond !== undefined || opts.maxOpsPerSecond !== undefined)) {
+    removeTree(path, opts).then(plan => callback(null, plan), callback)
+    return
+  }
 
-function remove (path, callback) {
   fs.rm(path, { recursive: true, force: true }, callback)
 }
 
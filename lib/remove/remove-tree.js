@@ -0,0 +1,126 @@
+'use strict'
+
+const fs = require('graceful-fs')
+const path = require('path')
+const { scanTree } = require('../util/progress')
+const { throwIfAborted } = require('../util/abort')
+const { createIgnoreFilter } = require('../util/ignore')
+const { perform } = require('../util/dry-run')
+const { createThrottle } = require('../util/throttle')
+const { aggregateError } = require('../util/aggregate-error')
+
+// fs.rm() gives no insight into what it is doing, cannot be aborted and
+// deletes everything, so when progress, a signal, ignore files, a dry run or
+// throttling are requested the tree is walked and deleted entry by entry instead.
+// Resolves with the plan in a dry run.
+async function removeTree (dir, opts) {
+  const progress = { entriesDeleted: 0, entriesTotal: null }
+  throwIfAborted(opts.signal)
+
+  opts = prepare(dir, opts)
+
+  if (opts.onProgress && opts.prescan) {
+    try {
+      const { files, directories } = await scanTree(dir, dir, { signal: opts.signal, ignore: opts.ignore })
+      progress.entriesTotal = files + directories
+    } catch (err) {
+      if (err.code === 'ENOENT') return opts.plan
+      throw err
+    }
+  }
+
+  await removeEntry(dir, progress, opts)
+  return opts.plan
+}
+
+// Removes the entries `items` of `dir`, which itself is kept. Used by
+// emptyDir() for ignore files, dry runs and continueOnError.
+async function removeContents (dir, items, opts) {
+  const progress = { entriesDeleted: 0, entriesTotal: null }
+  throwIfAborted(opts.signal)
+
+  opts = prepare(dir, opts)
+  // only emptyDir() has continueOnError, remove() fails on the first error
+  if (opts.continueOnError) opts.errors = []
+  if (opts.ignore) await opts.ignore.load(dir)
+
+  await removeEntries(dir, items, progress, opts)
+
+  if (opts.errors && opts.errors.length > 0) {
+    throw aggregateError(opts.errors, `Failed to remove ${opts.errors.length} of the entries of '${dir}'`)
+  }
+  return opts.plan
+}
+
+// the options object carries the state of the removal, so never mutate the
+// caller's object
+function prepare (dir, opts) {
+  opts = { ...opts }
+  if (opts.ignoreFiles) opts.ignore = createIgnoreFilter(dir, opts.ignoreFiles)
+  if (opts.dryRun) opts.plan = []
+  opts.throttle = createThrottle(opts)
+  return opts
+}
+
+// Removes the entries `items` of `dir` in parallel and resolves with
+// whether all of them are gone. With continueOnError, the error of an entry
+// that can't be removed is collected, tagged with its path, instead of
+// failing the whole removal.
+async function removeEntries (dir, items, progress, opts) {
+  const removed = await Promise.all(items.map(item => {
+    const file = path.join(dir, item)
+    return removeEntry(file, progress, opts).catch(err => {
+      if (!opts.errors || err.name === 'AbortError') throw err
+      if (err.path === undefined) err.path = file
+      opts.errors.push(err)
+      return false
+    })
+  }))
+  return removed.every(Boolean)
+}
+
+// Resolves with whether `file` is gone, which is not the case for entries
+// matched by the ignore files and for directories that still contain some,
+// or entries that failed to be removed with continueOnError.
+async function removeEntry (file, progress, opts) {
+  let stats
+  try {
+    stats = await fs.promises.lstat(file)
+  } catch (err) {
+    if (err.code === 'ENOENT') return true
+    throw err
+  }
+
+  if (opts.ignore && opts.ignore.ignores(file, stats.isDirectory())) return false
+
+  if (stats.isDirectory()) {
+    if (opts.ignore) await opts.ignore.load(file)
+    throwIfAborted(opts.signal)
+    const items = await fs.promises.readdir(file)
+    if (!(await removeEntries(file, items, progress, opts))) return false
+    throwIfAborted(opts.signal)
+    await perform(opts.plan, { op: 'rmdir', path: file }, () => throttled(opts, 0, () => fs.promises.rmdir(file)))
+  } else {
+    throwIfAborted(opts.signal)
+    await perform(opts.plan, { op: 'unlink', path: file }, () => throttled(opts, stats.size, () => fs.promises.unlink(file)))
+  }
+
+  progress.entriesDeleted++
+  if (opts.onProgress) opts.onProgress({ path: file, ...progress })
+  return true
+}
+
+// Runs `operation` once it fits within maxOpsPerSecond, and maxBytesPerSecond
+// counting the size of what it deletes.
+async function throttled (opts, bytes, operation) {
+  if (opts.throttle) {
+    await opts.throttle.op()
+    await opts.throttle.bytes(bytes)
+  }
+  return operation()
+}
+
+module.exports = {
+  removeTree,
+  removeContents
+}
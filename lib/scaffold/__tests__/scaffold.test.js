@@ -0,0 +1,141 @@
+'use strict'
+
+const fs = require('../../')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('scaffold()', () => {
+  let TEST_DIR, template, dest
+
+  beforeEach(() => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'scaffold')
+    template = path.join(TEST_DIR, 'template')
+    dest = path.join(TEST_DIR, 'dest')
+    fs.emptyDirSync(TEST_DIR)
+    fs.outputJsonSync(path.join(template, 'package.json'), { name: '__name__', version: '__version__' })
+    fs.outputFileSync(path.join(template, 'lib', '__name__.js'), "module.exports = '__name__'\n")
+    fs.outputFileSync(path.join(template, '__name__-docs', 'README.md'), '# __name__ by __author__\n')
+    fs.outputFileSync(path.join(template, 'pkg', '__init__.py'), '')
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  const read = (...parts) => fs.readFileSync(path.join(dest, ...parts), 'utf8')
+  const vars = { name: 'widget', version: '1.0.0' }
+
+  it('should replace placeholders in names and contents', async () => {
+    await fs.scaffold(template, dest, vars)
+    assert.deepStrictEqual(fs.readJsonSync(path.join(dest, 'package.json')), { name: 'widget', version: '1.0.0' })
+    assert.strictEqual(read('lib', 'widget.js'), "module.exports = 'widget'\n")
+    assert.strictEqual(read('widget-docs', 'README.md'), '# widget by __author__\n')
+  })
+
+  it('should leave placeholders of unknown variables alone', async () => {
+    await fs.scaffold(template, dest, vars)
+    assert(fs.existsSync(path.join(dest, 'pkg', '__init__.py')))
+  })
+
+  it('should copy binary files untouched', async () => {
+    fs.writeFileSync(path.join(template, 'logo.png'), Buffer.from('__name__\0__name__'))
+    await fs.scaffold(template, dest, vars)
+    assert.strictEqual(read('logo.png'), '__name__\0__name__')
+  })
+
+  it('should keep the mode of files', async () => {
+    fs.outputFileSync(path.join(template, 'bin', '__name__'), '#!/bin/sh\necho __name__\n', { mode: 0o755 })
+    await fs.scaffold(template, dest, vars)
+    assert.strictEqual(fs.statSync(path.join(dest, 'bin', 'widget')).mode & 0o777, 0o755)
+    assert.strictEqual(read('bin', 'widget'), '#!/bin/sh\necho widget\n')
+  })
+
+  describe('> conditional files', () => {
+    beforeEach(() => {
+      fs.outputFileSync(path.join(template, 'test', 'index.test.js'), '')
+      fs.outputFileSync(path.join(template, 'LICENSE'), '')
+      fs.outputJsonSync(path.join(template, 'scaffold.json'), {
+        files: { 'test/**': 'tests', LICENSE: '!private' }
+      })
+    })
+
+    it('should follow the manifest, without copying it', async () => {
+      await fs.scaffold(template, dest, { ...vars, tests: false, private: false })
+      assert(!fs.existsSync(path.join(dest, 'test', 'index.test.js')))
+      assert(fs.existsSync(path.join(dest, 'LICENSE')))
+      assert(!fs.existsSync(path.join(dest, 'scaffold.json')))
+
+      await fs.scaffold(template, dest, { ...vars, tests: true, private: true }, { overwrite: false })
+      assert(fs.existsSync(path.join(dest, 'test', 'index.test.js')))
+    })
+
+    it('should use the manifest named by the option', async () => {
+      fs.moveSync(path.join(template, 'scaffold.json'), path.join(template, 'template.json'))
+      await fs.scaffold(template, dest, vars, { manifest: 'template.json' })
+      assert(!fs.existsSync(path.join(dest, 'test')))
+      assert(!fs.existsSync(path.join(dest, 'template.json')))
+    })
+
+    it('should ignore the manifest when disabled', async () => {
+      await fs.scaffold(template, dest, vars, { manifest: false })
+      assert(fs.existsSync(path.join(dest, 'test', 'index.test.js')))
+      assert(fs.existsSync(path.join(dest, 'scaffold.json')))
+    })
+
+    it('should ask the predicate with template paths', async () => {
+      const asked = []
+      await fs.scaffold(template, dest, { ...vars, tests: true }, {
+        when (file, variables) {
+          asked.push(file)
+          assert.strictEqual(variables.name, 'widget')
+          return file !== '__name__-docs'
+        }
+      })
+      assert(asked.includes('lib/__name__.js'))
+      assert(!asked.includes('__name__-docs/README.md'))
+      assert(!fs.existsSync(path.join(dest, 'widget-docs')))
+      assert(fs.existsSync(path.join(dest, 'lib', 'widget.js')))
+    })
+
+    it('should fail on an invalid manifest', async () => {
+      fs.writeFileSync(path.join(template, 'scaffold.json'), '{ files')
+      await assert.rejects(fs.scaffold(template, dest, vars), /scaffold\.json/)
+    })
+  })
+
+  describe('> existing files', () => {
+    beforeEach(() => {
+      fs.outputFileSync(path.join(dest, 'lib', 'widget.js'), 'mine')
+    })
+
+    it('should overwrite them by default', async () => {
+      await fs.scaffold(template, dest, vars)
+      assert.strictEqual(read('lib', 'widget.js'), "module.exports = 'widget'\n")
+    })
+
+    it('should keep them with overwrite: false', async () => {
+      await fs.scaffold(template, dest, vars, { overwrite: false })
+      assert.strictEqual(read('lib', 'widget.js'), 'mine')
+      assert(fs.existsSync(path.join(dest, 'package.json')))
+    })
+
+    it('should fail with errorOnExist', async () => {
+      await assert.rejects(fs.scaffold(template, dest, vars, { overwrite: false, errorOnExist: true }), /already exists/)
+      assert.strictEqual(read('lib', 'widget.js'), 'mine')
+    })
+  })
+
+  it('should support callbacks', done => {
+    fs.scaffold(template, dest, vars, err => {
+      assert.ifError(err)
+      assert.strictEqual(read('lib', 'widget.js'), "module.exports = 'widget'\n")
+      done()
+    })
+  })
+
+  it('should throw on invalid arguments', async () => {
+    await assert.rejects(fs.scaffold(template, dest, 'widget'), TypeError)
+    await assert.rejects(fs.scaffold(template, dest, vars, { when: true }), TypeError)
+  })
+})
@@ -0,0 +1,106 @@
+'use strict'
+
+const u = require('universalify').fromPromise
+const fs = require('../fs')
+const path = require('path')
+const { copy } = require('../copy')
+const { mkdirs } = require('../mkdirs')
+const { compileGlob } = require('../util/glob')
+
+// Name of the manifest read from the root of the template, unless the
+// `manifest` option says otherwise. It is never copied itself.
+const MANIFEST = 'scaffold.json'
+
+// `__name__` stands for the value of the variable `name`. Placeholders of
+// variables that aren't set are left alone, so that e.g. `__init__.py`
+// survives.
+const PLACEHOLDER = /__([a-zA-Z0-9]+(?:_[a-zA-Z0-9]+)*)__/g
+
+// Like git, a file with a NUL byte in its first 8000 bytes is taken as
+// binary and copied as it is.
+const BINARY_SNIFF_LENGTH = 8000
+
+async function scaffold (templateDir, dest, vars = {}, opts = {}) {
+  if (!vars || typeof vars !== 'object') {
+    throw new TypeError(`Expected \`vars\` to be an object, got ${vars}`)
+  }
+  if (opts.when !== undefined && typeof opts.when !== 'function') {
+    throw new TypeError(`Expected \`when\` to be a function, got ${opts.when}`)
+  }
+
+  const manifest = 'manifest' in opts ? opts.manifest : MANIFEST
+  const conditions = manifest ? await readManifest(path.join(templateDir, manifest)) : []
+
+  const copyOpts = {
+    errorOnExist: opts.errorOnExist,
+    transform: () => contents => isBinary(contents) ? contents : render(contents.toString(), vars)
+  }
+  if ('overwrite' in opts) copyOpts.overwrite = opts.overwrite
+
+  await scaffoldDir(templateDir, dest, { templateDir, vars, when: opts.when, manifest, conditions, copyOpts })
+}
+
+// The `files` of the manifest map glob patterns of template paths to the
+// name of the variable that has to be truthy for them to be generated, or
+// falsy when it starts with `!`.
+async function readManifest (file) {
+  let data
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf8'))
+  } catch (err) {
+    if (err.code === 'ENOENT') return []
+    err.message = `${file}: ${err.message}`
+    throw err
+  }
+
+  return Object.entries(data.files || {}).map(([pattern, condition]) => {
+    if (typeof condition !== 'string') {
+      throw new TypeError(`${file}: expected the condition of '${pattern}' to be the name of a variable, got ${condition}`)
+    }
+    const negate = condition.startsWith('!')
+    return { glob: compileGlob(pattern), negate, name: negate ? condition.slice(1) : condition }
+  })
+}
+
+async function scaffoldDir (dir, destDir, context) {
+  await mkdirs(destDir)
+
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (dir === context.templateDir && entry.name === context.manifest) continue
+
+    const src = path.join(dir, entry.name)
+    if (!isWanted(path.relative(context.templateDir, src).split(path.sep), context)) continue
+
+    const dest = path.join(destDir, render(entry.name, context.vars))
+    if (entry.isDirectory()) {
+      await scaffoldDir(src, dest, context)
+    } else {
+      await copy(src, dest, context.copyOpts)
+    }
+  }
+}
+
+// Whether the entry at the template path `parts` is to be generated, as
+// decided by the manifest and then by `when`. Leaving out a directory
+// leaves out everything inside of it.
+function isWanted (parts, { vars, when, conditions }) {
+  for (const { glob, negate, name } of conditions) {
+    const met = negate ? !vars[name] : !!vars[name]
+    if (!met && glob.match(parts)) return false
+  }
+  return !when || !!when(parts.join('/'), vars)
+}
+
+function render (text, vars) {
+  return text.replace(PLACEHOLDER, (placeholder, name) => {
+    return Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name]) : placeholder
+  })
+}
+
+function isBinary (contents) {
+  return contents.subarray(0, BINARY_SNIFF_LENGTH).includes(0)
+}
+
+module.exports = {
+  scaffold: u(scaffold)
+}
@@ -0,0 +1,77 @@
+'use strict'
+
+const assert = require('assert')
+const path = require('path')
+const { compileGlob, createGlobFilter } = require('../glob')
+
+/* global describe, it */
+
+describe('util/glob', () => {
+  describe('compileGlob()', () => {
+    const matches = (pattern, file) => compileGlob(pattern).match(file.split('/'))
+
+    it('should match single segments', () => {
+      assert(matches('*.js', 'a.js'))
+      assert(matches('*.js', '.hidden.js'))
+      assert(!matches('*.js', 'lib/a.js'))
+      assert(matches('a?c', 'abc'))
+      assert(!matches('a?c', 'ac'))
+    })
+
+    it('should match any number of segments with **', () => {
+      assert(matches('**/*.js', 'a.js'))
+      assert(matches('**/*.js', 'a/b/c.js'))
+      assert(matches('lib/**', 'lib'))
+      assert(matches('lib/**', 'lib/a/b'))
+      assert(matches('**/node_modules/**', 'a/node_modules'))
+      assert(!matches('lib/**/*.js', 'src/a.js'))
+    })
+
+    it('should support classes, alternatives and escapes', () => {
+      assert(matches('[abc].txt', 'b.txt'))
+      assert(!matches('[!abc].txt', 'b.txt'))
+      assert(matches('[a-c].txt', 'c.txt'))
+      assert(matches('*.{js,md}', 'README.md'))
+      assert(matches('{lib,src/**}/*.js', 'src/a/b.js'))
+      assert(matches('\\*.js', '*.js'))
+      assert(!matches('\\*.js', 'a.js'))
+    })
+
+    it('should tell whether paths below a directory could match', () => {
+      const glob = compileGlob('src/**/*.js')
+      assert(glob.couldMatchBelow(['src']))
+      assert(glob.couldMatchBelow(['src', 'a']))
+      assert(!glob.couldMatchBelow(['lib']))
+    })
+  })
+
+  describe('createGlobFilter()', () => {
+    const root = path.resolve('root')
+    const file = relative => path.join(root, ...relative.split('/'))
+
+    it('should return null without options', () => {
+      assert.strictEqual(createGlobFilter(root, {}), null)
+    })
+
+    it('should keep directories that could contain included files', () => {
+      const filter = createGlobFilter(root, { include: ['src/**/*.js'] })
+      assert(filter(file('src'), true))
+      assert(!filter(file('lib'), true))
+      assert(!filter(file('src/a.md'), false))
+      assert(filter(file('src/a/b.js'), false))
+    })
+
+    it('should let exclusions win over inclusions', () => {
+      const filter = createGlobFilter(root, { include: ['**', '!**/*.md'], exclude: ['tmp'] })
+      assert(filter(file('a.js'), false))
+      assert(!filter(file('a.md'), false))
+      assert(!filter(file('tmp'), true))
+    })
+
+    it('should limit the depth', () => {
+      const filter = createGlobFilter(root, { maxDepth: 2 })
+      assert(filter(file('a/b'), true))
+      assert(!filter(file('a/b/c'), false))
+    })
+  })
+})
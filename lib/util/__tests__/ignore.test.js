@@ -0,0 +1,93 @@
+'use strict'
+
+const fs = require('../..')
+const os = require('os')
+const path = require('path')
+const assert = require('assert')
+const { createIgnoreFilter } = require('../ignore')
+
+/* global beforeEach, afterEach, describe, it */
+
+describe('util/ignore', () => {
+  let TEST_DIR
+
+  beforeEach(done => {
+    TEST_DIR = path.join(os.tmpdir(), 'fs-extra', 'util-ignore')
+    fs.emptyDir(TEST_DIR, done)
+  })
+
+  afterEach(done => fs.remove(TEST_DIR, done))
+
+  function filterFor (files) {
+    for (const [file, content] of Object.entries(files)) {
+      fs.outputFileSync(path.join(TEST_DIR, file), content)
+    }
+    const filter = createIgnoreFilter(TEST_DIR, ['.gitignore'])
+    return {
+      load: dir => filter.loadSync(path.join(TEST_DIR, dir)),
+      ignores: (file, isDirectory = false) => filter.ignores(path.join(TEST_DIR, file), isDirectory)
+    }
+  }
+
+  it('should match unanchored patterns at any depth', () => {
+    const filter = filterFor({ '.gitignore': '# logs\n\n*.log\nbuild\n' })
+    filter.load('')
+    assert(filter.ignores('a.log'))
+    assert(filter.ignores('a/b/c.log'))
+    assert(filter.ignores('src/build', true))
+    assert(!filter.ignores('a.txt'))
+  })
+
+  it('should anchor patterns containing a slash', () => {
+    const filter = filterFor({ '.gitignore': '/dist\ndocs/*.html\n' })
+    filter.load('')
+    assert(filter.ignores('dist', true))
+    assert(!filter.ignores('src/dist', true))
+    assert(filter.ignores('docs/index.html'))
+    assert(!filter.ignores('docs/api/index.html'))
+  })
+
+  it('should only match directories with a trailing slash', () => {
+    const filter = filterFor({ '.gitignore': 'cache/\n' })
+    filter.load('')
+    assert(filter.ignores('cache', true))
+    assert(!filter.ignores('cache', false))
+  })
+
+  it('should re-include negated matches', () => {
+    const filter = filterFor({ '.gitignore': '*.log\n!keep.log\n' })
+    filter.load('')
+    assert(filter.ignores('a.log'))
+    assert(!filter.ignores('keep.log'))
+  })
+
+  it('should handle ** and escapes', () => {
+    const filter = filterFor({ '.gitignore': 'a/**/z\nout/**\n\\#notes\n\\!bang\ntrailing\\ \n' })
+    filter.load('')
+    assert(filter.ignores('a/z'))
+    assert(filter.ignores('a/b/c/z'))
+    assert(filter.ignores('out/x'))
+    assert(!filter.ignores('out', true))
+    assert(filter.ignores('#notes'))
+    assert(filter.ignores('!bang'))
+    assert(filter.ignores('trailing '))
+  })
+
+  it('should scope nested files to their directory and let them take precedence', () => {
+    const filter = filterFor({
+      '.gitignore': '*.tmp\n',
+      'pkg/.gitignore': '!*.tmp\n/local\n'
+    })
+    filter.load('')
+    filter.load('pkg')
+    assert(filter.ignores('a.tmp'))
+    assert(!filter.ignores('pkg/a.tmp'))
+    assert(filter.ignores('pkg/local', true))
+    assert(!filter.ignores('local', true))
+  })
+
+  it('should reject invalid ignoreFiles', () => {
+    assert.throws(() => createIgnoreFilter(TEST_DIR, '.gitignore'), TypeError)
+    assert.throws(() => createIgnoreFilter(TEST_DIR, ['a/.gitignore']), TypeError)
+  })
+})
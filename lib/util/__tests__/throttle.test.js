@@ -0,0 +1,53 @@
+'use strict'
+
+const assert = require('assert')
+const { createThrottle } = require('../throttle')
+
+/* global describe, it */
+
+// AbortController is a global from Node 15 on
+const itIfAbortController = typeof AbortController === 'undefined' ? it.skip : it
+
+describe('util/throttle', () => {
+  describe('createThrottle()', () => {
+    it('should return null without limits', () => {
+      assert.strictEqual(createThrottle({}), null)
+    })
+
+    it('should throw on invalid limits', () => {
+      assert.throws(() => createThrottle({ maxBytesPerSecond: 0 }), TypeError)
+      assert.throws(() => createThrottle({ maxOpsPerSecond: NaN }), TypeError)
+      assert.throws(() => createThrottle({ maxOpsPerSecond: '10' }), TypeError)
+    })
+
+    it('should let a second worth of the limit through at once', async () => {
+      const throttle = createThrottle({ maxBytesPerSecond: 1000 })
+      const start = Date.now()
+      await throttle.bytes(600)
+      await throttle.bytes(400)
+      await throttle.bytes(200)
+      assert(Date.now() - start >= 150)
+    })
+
+    it('should read a function limit on every request', async () => {
+      let limit = Infinity
+      const throttle = createThrottle({ maxOpsPerSecond: () => limit })
+      assert.strictEqual(throttle.limitsBytes, false)
+
+      for (let i = 0; i < 100; i++) await throttle.op()
+      limit = 10
+      const start = Date.now()
+      // a second's worth at once, then one every 100 ms
+      for (let i = 0; i < 12; i++) await throttle.op()
+      assert(Date.now() - start >= 150)
+    })
+
+    itIfAbortController('should reject once the signal is aborted', async () => {
+      const controller = new AbortController()
+      const throttle = createThrottle({ maxOpsPerSecond: 1, signal: controller.signal })
+      await throttle.op()
+      setTimeout(() => controller.abort(), 50)
+      await assert.rejects(throttle.op(), { name: 'AbortError' })
+    })
+  })
+})
@@ -0,0 +1,22 @@
+'use strict'
+
+// Mirrors the error Node's own fs methods reject with when their `signal`
+// is aborted, so callers can handle both the same way.
+class AbortError extends Error {
+  constructor (message = 'The operation was aborted', options = undefined) {
+    super(message, options)
+    this.code = 'ABORT_ERR'
+    this.name = 'AbortError'
+  }
+}
+
+function throwIfAborted (signal) {
+  if (signal && signal.aborted) {
+    throw new AbortError(undefined, { cause: signal.reason })
+  }
+}
+
+module.exports = {
+  AbortError,
+  throwIfAborted
+}
@@ -0,0 +1,15 @@
+'use strict'
+
+// AggregateError only exists from Node 15. On older versions an Error with
+// the same name and `errors` stands in for it.
+function aggregateError (errors, message) {
+  if (typeof AggregateError === 'function') return new AggregateError(errors, message)
+  const error = new Error(message)
+  error.name = 'AggregateError'
+  error.errors = errors
+  return error
+}
+
+module.exports = {
+  aggregateError
+}
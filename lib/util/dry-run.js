@@ -0,0 +1,36 @@
+'use strict'
+
+const path = require('path')
+const { pathExists } = require('../path-exists')
+
+// In a dry run, the operations that would change the file system are
+// recorded in a plan instead of being performed. Each entry of the plan has
+// the name of the operation in `op` ('mkdir', 'copyFile', 'writeFile',
+// 'symlink', 'link', 'unlink', 'rmdir', 'rename', 'chmod', 'chown' or
+// 'utimes') along with the paths involved (`path`, or `src` and `dest`).
+
+// Runs `operation`, or only appends `entry` to `plan` if there is one.
+function perform (plan, entry, operation) {
+  if (plan) {
+    plan.push(entry)
+    return
+  }
+  return operation()
+}
+
+// Appends the directories mkdirs(dir) would create, outermost first.
+async function planMkdirs (plan, dir) {
+  const missing = []
+  while (!(await pathExists(dir))) {
+    missing.unshift(dir)
+    const parent = path.dirname(dir)
+    if (parent === dir) break
+    dir = parent
+  }
+  for (const dir of missing) plan.push({ op: 'mkdir', path: dir })
+}
+
+module.exports = {
+  perform,
+  planMkdirs
+}
@@ -0,0 +1,168 @@
+'use strict'
+
+const path = require('path')
+
+// Minimal glob matching for paths relative to a root, with `/` separating
+// segments. Supported syntax: `*` and `?` (never matching `/`), `[abc]`,
+// `[a-z]` and `[!abc]` classes, `{a,b}` alternatives, a `**` segment
+// matching any number of segments (including none) and `\` escaping the
+// next character. Names starting with a dot are matched like any other.
+
+function expandBraces (pattern) {
+  let depth = 0
+  let start = -1
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '\\') {
+      i++
+    } else if (char === '{') {
+      if (depth++ === 0) start = i
+    } else if (char === '}' && depth > 0 && --depth === 0) {
+      const before = pattern.slice(0, start)
+      const after = pattern.slice(i + 1)
+      return splitAlternatives(pattern.slice(start + 1, i))
+        .flatMap(alternative => expandBraces(before + alternative + after))
+    }
+  }
+
+  return [pattern]
+}
+
+function splitAlternatives (body) {
+  const alternatives = []
+  let depth = 0
+  let last = 0
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i]
+    if (char === '\\') i++
+    else if (char === '{') depth++
+    else if (char === '}') depth--
+    else if (char === ',' && depth === 0) {
+      alternatives.push(body.slice(last, i))
+      last = i + 1
+    }
+  }
+
+  alternatives.push(body.slice(last))
+  return alternatives
+}
+
+function segmentToRegExp (segment) {
+  let source = ''
+
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i]
+    if (char === '\\' && i + 1 < segment.length) {
+      source += escapeRegExp(segment[++i])
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[' && segment.indexOf(']', i + 2) !== -1) {
+      const end = segment.indexOf(']', i + 2)
+      let body = segment.slice(i + 1, end)
+      const negated = body[0] === '!' || body[0] === '^'
+      if (negated) body = body.slice(1)
+      source += `[${negated ? '^' : ''}${body.replace(/[\\\]^]/g, '\\$&')}]`
+      i = end
+    } else {
+      source += escapeRegExp(char)
+    }
+  }
+
+  return new RegExp(`^${source}$`)
+}
+
+function escapeRegExp (string) {
+  return string.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+}
+
+function compileSegments (pattern) {
+  return pattern
+    .split('/')
+    .filter(segment => segment !== '' && segment !== '.')
+    .map(segment => segment === '**' ? segment : segmentToRegExp(segment))
+}
+
+// `segments` matches `parts` as a whole, or only as far as `parts` go when
+// `partial` is set (i.e. a path below `parts` could still match).
+function matchSegments (segments, parts, partial, si = 0, pi = 0) {
+  if (partial && pi === parts.length) return true
+  if (si === segments.length) return pi === parts.length
+
+  const segment = segments[si]
+  if (segment === '**') {
+    return matchSegments(segments, parts, partial, si + 1, pi) ||
+      (pi < parts.length && matchSegments(segments, parts, partial, si, pi + 1))
+  }
+
+  return pi < parts.length &&
+    segment.test(parts[pi]) &&
+    matchSegments(segments, parts, partial, si + 1, pi + 1)
+}
+
+// Compiles a glob into `{ match(parts), couldMatchBelow(parts) }`, both
+// taking the segments of a relative path. `braces: false` makes `{` and `}`
+// literal characters.
+function compileGlob (pattern, { braces = true } = {}) {
+  const alternatives = (braces ? expandBraces(pattern) : [pattern]).map(compileSegments)
+
+  return {
+    match: parts => alternatives.some(segments => matchSegments(segments, parts, false)),
+    couldMatchBelow: parts => alternatives.some(segments => matchSegments(segments, parts, true))
+  }
+}
+
+function checkPatterns (name, patterns) {
+  if (!Array.isArray(patterns) || !patterns.every(pattern => typeof pattern === 'string')) {
+    throw new TypeError(`Expected \`${name}\` to be an array of glob patterns, got ${patterns}`)
+  }
+}
+
+// Builds the `(file, isDirectory) => boolean` selection function of
+// `include`, `exclude` and `maxDepth`, for paths below `root`. Returns
+// `null` when none of them is set.
+//
+// An entry is selected when it is at most `maxDepth` levels below `root`,
+// matches none of the `exclude` patterns (or `include` patterns starting with
+// `!`), and matches one of the other `include` patterns, if there are any.
+// Everything below an included directory is included. Directories that are
+// not included themselves are kept as long as something below them could
+// be, so callers can descend into them; excluded directories are not.
+function createGlobFilter (root, { include, exclude, maxDepth } = {}) {
+  if (include === undefined && exclude === undefined && maxDepth === undefined) return null
+
+  if (include !== undefined) checkPatterns('include', include)
+  if (exclude !== undefined) checkPatterns('exclude', exclude)
+  if (maxDepth !== undefined && maxDepth !== Infinity && !(Number.isInteger(maxDepth) && maxDepth >= 0)) {
+    throw new TypeError(`Expected \`maxDepth\` to be a non-negative integer or Infinity, got ${maxDepth}`)
+  }
+
+  const included = []
+  const excluded = (exclude || []).map(pattern => compileGlob(pattern))
+  for (const pattern of include || []) {
+    if (pattern.startsWith('!')) excluded.push(compileGlob(pattern.slice(1)))
+    else included.push(compileGlob(pattern))
+  }
+
+  return (file, isDirectory) => {
+    const parts = path.relative(root, file).split(path.sep)
+
+    if (maxDepth !== undefined && parts.length > maxDepth) return false
+    if (excluded.some(glob => glob.match(parts))) return false
+    if (included.length === 0) return true
+
+    for (let depth = 1; depth <= parts.length; depth++) {
+      const ancestorOrSelf = parts.slice(0, depth)
+      if (included.some(glob => glob.match(ancestorOrSelf))) return true
+    }
+    return isDirectory && included.some(glob => glob.couldMatchBelow(parts))
+  }
+}
+
+module.exports = {
+  compileGlob,
+  createGlobFilter
+}
@@ -0,0 +1,36 @@
+'use strict'
+
+const fs = require('../fs')
+const crypto = require('crypto')
+
+const BUFFER_SIZE = 64 * 1024
+
+async function hashFile (file, algorithm = 'sha256') {
+  const hash = crypto.createHash(algorithm)
+  for await (const chunk of fs.createReadStream(file, { highWaterMark: BUFFER_SIZE })) {
+    hash.update(chunk)
+  }
+  return hash.digest('hex')
+}
+
+function hashFileSync (file, algorithm = 'sha256') {
+  const hash = crypto.createHash(algorithm)
+  const buffer = Buffer.alloc(BUFFER_SIZE)
+  const fd = fs.openSync(file, 'r')
+
+  try {
+    let bytesRead
+    while ((bytesRead = fs.readSync(fd, buffer, 0, BUFFER_SIZE, null)) > 0) {
+      hash.update(buffer.subarray(0, bytesRead))
+    }
+  } finally {
+    fs.closeSync(fd)
+  }
+
+  return hash.digest('hex')
+}
+
+module.exports = {
+  hashFile,
+  hashFileSync
+}
@@ -0,0 +1,112 @@
+'use strict'
+
+const fs = require('graceful-fs')
+const path = require('path')
+const { compileGlob } = require('./glob')
+
+// Parses the contents of a .gitignore-style file into a list of rules
+// `{ negate, dirOnly, glob }`, where `glob` matches paths relative to the
+// directory holding the file.
+function parseIgnoreRules (content) {
+  const rules = []
+
+  for (let line of content.split(/\r?\n/)) {
+    // trailing spaces are ignored unless escaped with a backslash
+    line = line.replace(/(^|[^\\])\s+$/, '$1')
+    if (line === '' || line.startsWith('#')) continue
+
+    const negate = line.startsWith('!')
+    if (negate) line = line.slice(1)
+
+    const dirOnly = line.endsWith('/')
+    if (dirOnly) line = line.slice(0, -1)
+
+    // a slash at the beginning or in the middle anchors the pattern to the
+    // directory of the ignore file, otherwise it matches at any depth
+    if (line.includes('/')) line = line.replace(/^\//, '')
+    else line = `**/${line}`
+
+    // 'dir/**' matches everything inside of dir, but not dir itself
+    line = line.replace(/\/\*\*$/, '/*/**')
+
+    if (line === '') continue
+    rules.push({ negate, dirOnly, glob: compileGlob(line, { braces: false }) })
+  }
+
+  return rules
+}
+
+function checkIgnoreFiles (ignoreFiles) {
+  if (!Array.isArray(ignoreFiles) || !ignoreFiles.every(name => typeof name === 'string' && name !== '' && !name.includes('/') && !name.includes(path.sep))) {
+    throw new TypeError(`Expected \`ignoreFiles\` to be an array of file names, got ${ignoreFiles}`)
+  }
+}
+
+// Tracks the rules of the ignore files named `ignoreFiles` found in `root`
+// and the directories below it. Every directory has to be loaded with
+// `load()` or `loadSync()` before the entries inside of it are checked with
+// `ignores()`, which applies the rules of all the directories between `root`
+// and the entry the way git does: rules of deeper files take precedence,
+// and within a directory the last matching rule wins.
+function createIgnoreFilter (root, ignoreFiles) {
+  checkIgnoreFiles(ignoreFiles)
+
+  // directory relative to root => its rules
+  const rulesByDir = new Map()
+
+  function key (dir) {
+    return path.relative(root, dir)
+  }
+
+  async function load (dir) {
+    const rules = []
+    for (const name of ignoreFiles) {
+      try {
+        rules.push(...parseIgnoreRules(await fs.promises.readFile(path.join(dir, name), 'utf8')))
+      } catch (err) {
+        if (err.code !== 'ENOENT' && err.code !== 'EISDIR') throw err
+      }
+    }
+    if (rules.length > 0) rulesByDir.set(key(dir), rules)
+  }
+
+  function loadSync (dir) {
+    const rules = []
+    for (const name of ignoreFiles) {
+      try {
+        rules.push(...parseIgnoreRules(fs.readFileSync(path.join(dir, name), 'utf8')))
+      } catch (err) {
+        if (err.code !== 'ENOENT' && err.code !== 'EISDIR') throw err
+      }
+    }
+    if (rules.length > 0) rulesByDir.set(key(dir), rules)
+  }
+
+  function ignores (file, isDirectory) {
+    const relative = key(file)
+    if (relative === '') return false
+
+    const parts = relative.split(path.sep)
+    let ignored = false
+
+    for (let depth = 0; depth < parts.length; depth++) {
+      const rules = rulesByDir.get(parts.slice(0, depth).join(path.sep))
+      if (!rules) continue
+
+      const below = parts.slice(depth)
+      for (const rule of rules) {
+        if (rule.dirOnly && !isDirectory) continue
+        if (rule.glob.match(below)) ignored = !rule.negate
+      }
+    }
+
+    return ignored
+  }
+
+  return { load, loadSync, ignores }
+}
+
+module.exports = {
+  parseIgnoreRules,
+  createIgnoreFilter
+}
@@ -0,0 +1,33 @@
+'use strict'
+
+// Counting semaphore used to cap the number of operations that are in flight
+// at the same time. `acquire()` resolves once a slot is free, `release()`
+// hands the slot to the next waiter (if any).
+function createLimiter (concurrency) {
+  if (concurrency !== Infinity && !(Number.isInteger(concurrency) && concurrency > 0)) {
+    throw new TypeError(`Expected \`concurrency\` to be a positive integer or Infinity, got ${concurrency}`)
+  }
+
+  let active = 0
+  const queue = []
+
+  function acquire () {
+    if (active < concurrency) {
+      active++
+      return Promise.resolve()
+    }
+    return new Promise(resolve => queue.push(resolve))
+  }
+
+  function release () {
+    const next = queue.shift()
+    if (next) return next()
+    active--
+  }
+
+  return { acquire, release }
+}
+
+module.exports = {
+  createLimiter
+}
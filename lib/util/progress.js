@@ -0,0 +1,84 @@
+'use strict'
+
+const fs = require('../fs')
+const path = require('path')
+const { throwIfAborted } = require('./abort')
+
+// Files at least this large are copied in chunks so progress can be
+// reported while they are being written, instead of only once they are done.
+const CHUNKED_PROGRESS_THRESHOLD = 8 * 1024 * 1024
+
+function createProgress (onProgress) {
+  const state = {
+    filesDone: 0,
+    bytesDone: 0,
+    filesTotal: null,
+    bytesTotal: null
+  }
+
+  function emit (src, dest) {
+    onProgress({ src, dest, ...state })
+  }
+
+  return {
+    setTotals (files, bytes) {
+      state.filesTotal = files
+      state.bytesTotal = bytes
+    },
+    chunkDone (src, dest, bytes) {
+      state.bytesDone += bytes
+      emit(src, dest)
+    },
+    fileDone (src, dest, bytes) {
+      state.filesDone++
+      state.bytesDone += bytes
+      emit(src, dest)
+    }
+  }
+}
+
+// Walk `src` the same way a copy would and count what it is about to
+// process. Everything that is not a directory counts as a file, and only
+// regular files contribute bytes. `opts.globFilter`, `opts.ignore`,
+// `opts.filter` and `opts.dereference` are honored, so the filter is
+// consulted once more for every entry. The scan stops as soon as
+// `opts.signal` is aborted. `ancestors` holds the 'dev:ino' of the
+// directories above `src`: with dereference, a link to one of them closes a
+// cycle and only counts as a file, as the copy will fail on it or keep it
+// as a symlink (see the `cycles` option).
+async function scanTree (src, dest, opts = {}, ancestors = new Set()) {
+  const statFn = opts.dereference ? fs.stat : fs.lstat
+  const srcStat = await statFn(src)
+  const key = `${srcStat.dev}:${srcStat.ino}`
+
+  if (!srcStat.isDirectory() || ancestors.has(key)) {
+    return { files: 1, directories: 0, bytes: srcStat.isFile() ? srcStat.size : 0 }
+  }
+
+  const totals = { files: 0, directories: 1, bytes: 0 }
+  const ancestorsBelow = new Set(ancestors).add(key)
+  if (opts.ignore) await opts.ignore.load(src)
+  for await (const item of await fs.opendir(src)) {
+    throwIfAborted(opts.signal)
+    const srcItem = path.join(src, item.name)
+    const destItem = path.join(dest, item.name)
+    if (opts.globFilter || opts.ignore) {
+      const isDirectory = (await statFn(srcItem)).isDirectory()
+      if (opts.globFilter && !opts.globFilter(srcItem, isDirectory)) continue
+      if (opts.ignore && opts.ignore.ignores(srcItem, isDirectory)) continue
+    }
+    if (opts.filter && !(await opts.filter(srcItem, destItem))) continue
+
+    const itemTotals = await scanTree(srcItem, destItem, opts, ancestorsBelow)
+    totals.files += itemTotals.files
+    totals.directories += itemTotals.directories
+    totals.bytes += itemTotals.bytes
+  }
+  return totals
+}
+
+module.exports = {
+  CHUNKED_PROGRESS_THRESHOLD,
+  createProgress,
+  scanTree
+}
@@ -45,12 +45,8 @@ async function checkPaths (src, dest, funcName, opts) {
       }
       throw new Error('Source and destination must not be the same.')
     }
-    if (srcStat.isDirectory() && !destStat.isDirectory()) {
-      throw new Error(`Cannot overwrite non-directory '${dest}' with directory '${src}'.`)
-    }
-    if (!srcStat.isDirectory() && destStat.isDirectory()) {
-      throw new Error(`Cannot overwrite directory '${dest}' with non-directory '${src}'.`)
-    }
+    // with a `conflict` option, the caller resolves these clashes itself
+    if (!opts.conflict) checkTypes(src, srcStat, dest, destStat)
   }
 
   if (srcStat.isDirectory() && isSrcSubdir(src, dest)) {
@@ -74,12 +70,8 @@ function checkPathsSync (src, dest, funcName, opts) {
       }
       throw new Error('Source and destination must not be the same.')
     }
-    if (srcStat.isDirectory() && !destStat.isDirectory()) {
-      throw new Error(`Cannot overwrite non-directory '${dest}' with directory '${src}'.`)
-    }
-    if (!srcStat.isDirectory() && destStat.isDirectory()) {
-      throw new Error(`Cannot overwrite directory '${dest}' with non-directory '${src}'.`)
-    }
+    // with a `conflict` option, the caller resolves these clashes itself
+    if (!opts.conflict) checkTypes(src, srcStat, dest, destStat)
   }
 
   if (srcStat.isDirectory() && isSrcSubdir(src, dest)) {
@@ -88,6 +80,15 @@ function checkPathsSync (src, dest, funcName, opts) {
   return { srcStat, destStat }
 }
 
+function checkTypes (src, srcStat, dest, destStat) {
+  if (srcStat.isDirectory() && !destStat.isDirectory()) {
+    throw new Error(`Cannot overwrite non-directory '${dest}' with directory '${src}'.`)
+  }
+  if (!srcStat.isDirectory() && destStat.isDirectory()) {
+    throw new Error(`Cannot overwrite directory '${dest}' with non-directory '${src}'.`)
+  }
+}
+
 // recursively check if dest parent is a subdirectory of src.
 // It works for all file types including symlinks since it
 // checks the src and dest inodes. It starts from the deepest
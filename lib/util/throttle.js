@@ -0,0 +1,72 @@
+'use strict'
+
+const { AbortError } = require('./abort')
+
+// Rate limits of the `maxBytesPerSecond` and `maxOpsPerSecond` options. A
+// limit is a positive number, or a function returning the current one (or
+// Infinity for none at the moment), so it can be changed while an operation
+// is running.
+
+function checkRate (name, rate) {
+  if (typeof rate !== 'function' && !(typeof rate === 'number' && rate > 0)) {
+    throw new TypeError(`Expected \`${name}\` to be a positive number or a function, got ${rate}`)
+  }
+}
+
+// Returns `{ bytes(amount), op() }`, each resolving once `amount` bytes or
+// one more operation fit within the limits, or null when neither option is
+// set. Waiting rejects with an AbortError once `signal` is aborted.
+function createThrottle ({ maxBytesPerSecond, maxOpsPerSecond, signal }) {
+  if (maxBytesPerSecond === undefined && maxOpsPerSecond === undefined) return null
+  if (maxBytesPerSecond !== undefined) checkRate('maxBytesPerSecond', maxBytesPerSecond)
+  if (maxOpsPerSecond !== undefined) checkRate('maxOpsPerSecond', maxOpsPerSecond)
+
+  const bytes = createRate(maxBytesPerSecond, signal)
+  const ops = createRate(maxOpsPerSecond, signal)
+
+  return {
+    limitsBytes: maxBytesPerSecond !== undefined,
+    bytes,
+    op: () => ops(1)
+  }
+}
+
+// A token bucket holding up to one second's worth of the limit, kept as
+// the time `full` at which it is (or was) full again: taking `amount` moves
+// it `amount / rate` seconds later, and whoever takes it past the current
+// time waits until then. Callers queue up in the order they ask, and a
+// changed limit applies to what is asked for next.
+function createRate (limit, signal) {
+  let full = 0
+
+  return async function take (amount) {
+    const rate = typeof limit === 'function' ? limit() : limit
+    if (!(rate > 0) || rate === Infinity || amount === 0) return
+
+    const now = Date.now()
+    full = Math.max(full, now - 1000) + amount / rate * 1000
+    if (full > now) await sleep(full - now, signal)
+  }
+}
+
+function sleep (ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new AbortError(undefined, { cause: signal.reason }))
+
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    function onAbort () {
+      clearTimeout(timer)
+      reject(new AbortError(undefined, { cause: signal.reason }))
+    }
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+module.exports = {
+  createThrottle
+}
@@ -47,7 +47,8 @@ import {
   pathExists,
   pathExistsSync,
   remove,
-  removeSync
+  removeSync,
+  scaffold
 } from './lib/esm.mjs' // eslint-disable-line
 const fsNamed = [
   copy,
@@ -93,7 +94,8 @@ const fsNamed = [
   pathExists,
   pathExistsSync,
   remove,
-  removeSync
+  removeSync,
+  scaffold
 ]
 
 const keys = Object.keys(fsDefault)